@@ -3,70 +3,59 @@
  * Handles state management and app lifecycle
  */
 
-// Hardcoded test trip with multiple stops
-const trip = {
-    teaser: "~25 min adventure • 3 stops",
-    stops: [
-        {
-            id: "stop1",
-            name: "Wheeler Historic Farm",
-            coordinates: { lat: 40.63634395935377, lng: -111.86395501783551 },
-            recommendation: "Welcome to the farm, enjoy your walk!",
-            arrivalRadius: 75,
-            isFinal: false
-        },
-        {
-            id: "stop2",
-            name: "Zeitoon Cafe - Aria Palace",
-            coordinates: { lat: 40.62230158897169, lng: -111.87065689963451 },
-            recommendation: "Kabob time! Remember not to whine Gwen!",
-            arrivalRadius: 75,
-            isFinal: false
-        },
-        {
-            id: "stop3",
-            name: "Tous les Jours",
-            coordinates: { lat: 40.62148941970681, lng: -111.88978350589251 },
-            description: "Let's grab a tasty pastry for the drive home!",
-            arrivalRadius: 75,
-            isFinal: true
-        }
-    ]
-};
+// Active trip definition, from trips/<id>.json, a share link or the library
+let trip = null;
+let tripId = null; // null for shared trips, which have no file
 
 // App state
 const state = {
     // Trip status
     tripActive: false,
     arrived: false,
+    tripGeneration: 0, // Bumped when a trip is reset, so requests still in flight for it are dropped
 
     // User position
     currentPosition: { lat: null, lng: null },
     heading: null,
+    speed: null,
     accuracy: null,
 
     // Multi-stop tracking
     currentStopIndex: 0,
+    stopCount: 0,
     destination: null,  // Current stop we're navigating to
+    profile: NAV_CONFIG.defaultProfile, // Travel profile of the current leg
 
     // Route data
-    routeGeometry: null,
-    routeSteps: [],
+    routeLegs: [],       // Legs still ahead; routeLegs[0] leads to destination
+    routeGeometry: null, // Geometry of the current leg
+    routeSteps: [],      // Steps of the current leg
     currentStepIndex: 0,
 
     // Calculated values
+    progress: null,      // Along-route progress on the current leg (see initRouteProgress)
     distanceToNextManeuver: null,
     distanceToDestination: null,
     distanceToRoute: null,
+    closestRoutePoint: null,
+    previewedStep: null, // Step whose turn the map last framed (see shouldPreviewTurn)
 
     // Re-routing
     isOffRoute: false,
     offRouteStartTime: null,
     isRerouting: false,
     lastRerouteTime: null,
+    rerouteRetryAt: null,  // After a failed re-route, don't try again until then
+    routeRetryTimer: null, // Pending retry of a failed initial route request
+
+    // Following the route downloaded for offline use
+    usingOfflineRoute: false,
 
     // Geolocation
-    watchId: null
+    watchId: null,
+    lastFixTime: null,      // When the last GPS fix that passed the filter arrived
+    deadReckoning: false,   // Position is being guessed along the route (no signal)
+    signalLossTimer: null
 };
 
 // Screen elements
@@ -75,30 +64,82 @@ const screens = {
     nav: document.getElementById('nav-screen'),
     stop: document.getElementById('stop-screen'),
     arrival: document.getElementById('arrival-screen'),
-    error: document.getElementById('error-screen')
+    error: document.getElementById('error-screen'),
+    author: document.getElementById('author-screen')
 };
 
 /**
  * Initialize the app
  */
-function init() {
+async function init() {
     console.log('Vromp initializing...');
 
-    // Set up first stop as initial destination
-    state.currentStopIndex = 0;
-    state.destination = trip.stops[0];
-
-    // Update teaser text
-    const teaserEl = document.getElementById('teaser-text');
-    if (teaserEl && trip.teaser) {
-        teaserEl.textContent = trip.teaser;
-    }
+    // Offline downloads and fallbacks go through the service worker
+    registerServiceWorker();
 
     // Initialize map
-    initMap('map');
+    initMap('map', handleFollowChange);
+
+    // Day or night styles; refined once we know where the traveler is
+    updateTheme(null, null);
+
+    // Translate the page before anything is shown; a trip may switch the language later
+    setLocale(getPreferredLocale(null));
 
     // Set up event listeners
     setupEventListeners();
+    updateVoiceButton();
+    updateUnitsButton();
+    updateThemeButton();
+    updateOfflineStatus();
+
+    // A share link carries the whole trip; ?trip=<id> loads trips/<id>.json
+    const sharedPayload = getSharedTripPayload();
+    const requestedTripId = getRequestedTripId();
+
+    // Authoring from scratch doesn't need a trip; ?author&trip=<id> edits one
+    if (isAuthoringRequested() && !sharedPayload && !requestedTripId) {
+        openAuthoring(null);
+        requestLocationPermission();
+        return;
+    }
+
+    // Without a specific trip, let the user pick one from the library
+    if (!sharedPayload && !requestedTripId) {
+        await showTripLibrary();
+        return;
+    }
+
+    // Load and validate the requested trip before offering to start it
+    const tripLabel = sharedPayload ? t('error.sharedTrip') : t('error.namedTrip', { id: requestedTripId });
+    let loadedTrip;
+
+    try {
+        loadedTrip = sharedPayload
+            ? await decodeTripPayload(sharedPayload)
+            : await loadTrip(requestedTripId);
+    } catch (error) {
+        console.error('Failed to load trip:', error);
+        showError(t('error.tripUnavailable'), error.message);
+        return;
+    }
+
+    const problems = validateTrip(loadedTrip);
+    if (problems.length > 0) {
+        console.error(`${tripLabel} is invalid:`, problems);
+        showError(
+            t('error.invalidTrip'),
+            t(problems.length === 1 ? 'error.tripProblem' : 'error.tripProblems', { trip: tripLabel, count: problems.length }) + '\n' +
+            problems.map(problem => `• ${problem}`).join('\n')
+        );
+        return;
+    }
+
+    selectTrip(loadedTrip, sharedPayload ? null : requestedTripId);
+
+    if (isAuthoringRequested()) {
+        openAuthoring(trip);
+    }
 
     // Request location permission early
     requestLocationPermission();
@@ -106,12 +147,97 @@ function init() {
     console.log('Vromp ready');
 }
 
+/**
+ * Load the trip library and show it on the start screen
+ */
+async function showTripLibrary() {
+    let entries;
+
+    try {
+        entries = await loadTripLibrary();
+    } catch (error) {
+        showError(t('error.tripsUnavailable'), error.message);
+        return;
+    }
+
+    if (entries.length === 0) {
+        showError(t('error.noTrips'), t('error.noTripsMessage'));
+        return;
+    }
+
+    document.getElementById('trip-library').classList.add('active');
+    document.getElementById('surprise-panel').classList.add('active');
+    document.getElementById('teaser-text').textContent = t('library.pick');
+    renderTripLibrary(entries, entry => selectTrip(entry.trip, entry.id));
+
+    // Request location permission early
+    requestLocationPermission();
+
+    console.log(`Vromp ready with ${entries.length} trips`);
+}
+
+/**
+ * Make a validated trip the active trip
+ * @param {Object} selectedTrip - Validated trip object
+ * @param {string} selectedTripId - Trip id, or null for shared trips
+ */
+function selectTrip(selectedTrip, selectedTripId) {
+    trip = selectedTrip;
+    tripId = selectedTripId;
+
+    // Speak the trip's language if it has one
+    setLocale(getPreferredLocale(trip));
+    updateVoiceButton();
+    updateThemeButton();
+
+    // Set up first stop as initial destination
+    state.currentStopIndex = 0;
+    state.stopCount = trip.stops.length;
+    state.destination = trip.stops[0];
+    state.profile = trip.stops[0].profile || trip.profile || NAV_CONFIG.defaultProfile;
+
+    // Update teaser text
+    const teaserEl = document.getElementById('teaser-text');
+    if (teaserEl) {
+        teaserEl.textContent = trip.teaser || '';
+    }
+
+    document.getElementById('start-btn').disabled = false;
+    updateOfflineStatus();
+    console.log(`Selected trip ${tripId || '(shared)'}`);
+}
+
 /**
  * Set up event listeners
  */
 function setupEventListeners() {
     // Start button
-    document.getElementById('start-btn').addEventListener('click', startTrip);
+    document.getElementById('start-btn').addEventListener('click', () => {
+        unlockTripSensors();
+        startTrip();
+    });
+
+    // Mute button (nav screen)
+    document.getElementById('voice-btn').addEventListener('click', toggleVoice);
+
+    // Recenter button (nav screen, while the user has panned away)
+    document.getElementById('recenter-btn').addEventListener('click', resumeFollow);
+
+    // Units button (start screen)
+    document.getElementById('units-btn').addEventListener('click', toggleUnits);
+
+    // Day/night button (start screen)
+    document.getElementById('theme-btn').addEventListener('click', toggleTheme);
+
+    // Network changes (a non-blocking banner, never the error screen)
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('online', handleOnline);
+
+    // Offline download button (start screen)
+    document.getElementById('offline-btn').addEventListener('click', downloadForOffline);
+
+    // Surprise me button (start screen)
+    document.getElementById('surprise-btn').addEventListener('click', startSurpriseTrip);
 
     // End button
     document.getElementById('end-btn').addEventListener('click', endTrip);
@@ -119,11 +245,19 @@ function setupEventListeners() {
     // Continue button (intermediate stop screen)
     document.getElementById('continue-btn').addEventListener('click', continueToNextStop);
 
+    // Author button (start screen)
+    document.getElementById('author-btn').addEventListener('click', () => openAuthoring(null));
+
     // Done button (final arrival screen)
     document.getElementById('done-btn').addEventListener('click', resetApp);
 
     // Retry button (error screen)
     document.getElementById('retry-btn').addEventListener('click', () => {
+        // Without a valid trip there is nothing to start, so load it again
+        if (!trip) {
+            location.reload();
+            return;
+        }
         showScreen('start');
         requestLocationPermission();
     });
@@ -134,7 +268,7 @@ function setupEventListeners() {
  */
 function requestLocationPermission() {
     if (!navigator.geolocation) {
-        showError('Geolocation Not Supported', 'Your browser does not support geolocation.');
+        showError(t('error.geolocationUnsupported'), t('error.geolocationUnsupportedMessage'));
         return;
     }
 
@@ -150,17 +284,138 @@ function requestLocationPermission() {
             console.warn('Location permission denied or error:', error.code, error.message);
             // Show error so user knows what's happening
             if (error.code === error.PERMISSION_DENIED) {
-                showError('Location Required', 'Please allow location access. On iOS: Settings → Safari → Location → Allow. Then reload this page.');
+                showError(t('error.locationRequired'), t('error.locationIos'));
             }
         },
         { enableHighAccuracy: true, timeout: 10000 }
     );
 }
 
+/**
+ * Show whether the selected trip is available offline
+ * Hides the download button in browsers that can't store trips.
+ */
+function updateOfflineStatus() {
+    const button = document.getElementById('offline-btn');
+    const statusEl = document.getElementById('offline-status');
+
+    if (!isOfflineSupported()) {
+        button.style.display = 'none';
+        return;
+    }
+
+    // Nothing to download until a trip is picked from the library
+    if (!trip) {
+        button.disabled = true;
+        statusEl.textContent = '';
+        return;
+    }
+
+    // Without a tile server that allows it, only the route is saved
+    const withMap = canDownloadOfflineTiles();
+    const downloaded = isTripDownloaded(getOfflineTripKey(trip, tripId));
+    button.disabled = false;
+    if (downloaded) {
+        button.textContent = t('offline.downloadAgain');
+        statusEl.textContent = withMap ? t('offline.available') : t('offline.routeAvailable');
+    } else {
+        button.textContent = withMap ? t('offline.download') : t('offline.downloadRoute');
+        statusEl.textContent = '';
+    }
+}
+
+/**
+ * Download the selected trip's route, and map tiles where allowed, before departure
+ */
+async function downloadForOffline() {
+    const button = document.getElementById('offline-btn');
+    const statusEl = document.getElementById('offline-status');
+
+    if (!state.currentPosition.lat) {
+        statusEl.textContent = t('location.waiting');
+        requestLocationPermission();
+        return;
+    }
+
+    button.disabled = true;
+    statusEl.textContent = t('offline.downloadingRoute');
+
+    try {
+        const result = await downloadTripForOffline(
+            trip,
+            getOfflineTripKey(trip, tripId),
+            state.currentPosition,
+            (done, total) => {
+                statusEl.textContent = t('offline.downloadingMap', { percent: Math.round(done / total * 100) });
+            }
+        );
+
+        updateOfflineStatus();
+        if (result.failed > 0) {
+            statusEl.textContent = t('offline.availableMissing', { count: result.failed });
+        }
+    } catch (error) {
+        console.error('Offline download failed:', error);
+        statusEl.textContent = t('offline.failed');
+        button.disabled = false;
+    }
+}
+
+/**
+ * Start the compass and speech from a button tap, which iOS needs before
+ * it will ask for permission. Call before anything that awaits.
+ */
+function unlockTripSensors() {
+    startCompass(handleCompassHeading);
+    primeVoice();
+}
+
+/**
+ * Generate a surprise trip from the start screen settings and start it
+ */
+async function startSurpriseTrip() {
+    const button = document.getElementById('surprise-btn');
+    const statusEl = document.getElementById('surprise-status');
+
+    if (!state.currentPosition.lat) {
+        statusEl.textContent = t('location.waiting');
+        requestLocationPermission();
+        return;
+    }
+
+    // Still inside the tap here; generating the trip below awaits the network
+    unlockTripSensors();
+
+    const budgetMinutes = parseInt(document.getElementById('surprise-budget').value, 10);
+    const category = document.getElementById('surprise-category').value;
+
+    button.disabled = true;
+    statusEl.textContent = t('surprise.finding');
+
+    try {
+        const surpriseTrip = await generateSurpriseTrip(state.currentPosition, budgetMinutes, category);
+        statusEl.textContent = '';
+        await startTrip(surpriseTrip);
+    } catch (error) {
+        console.error('Surprise trip failed:', error);
+        statusEl.textContent = error.message;
+        stopCompass();
+    } finally {
+        button.disabled = false;
+    }
+}
+
 /**
  * Start the mystery trip
+ * @param {Object} tripToStart - Optional trip to switch to first (e.g. a generated one)
  */
-async function startTrip() {
+async function startTrip(tripToStart) {
+    if (tripToStart) {
+        selectTrip(tripToStart, null);
+    }
+
+    if (!trip) return;
+
     console.log('Starting trip...');
 
     // Start watching position
@@ -181,66 +436,144 @@ async function startTrip() {
     }
 
     if (!state.currentPosition.lat) {
-        showError('Location Required', 'Could not get your location. Please enable location services and try again.');
+        // Starting again sets up a fresh watch
+        stopPositionTracking();
+        showError(t('error.locationRequired'), t('error.locationMissing'));
         return;
     }
 
+    // Dead reckoning needs a position to carry on from
+    state.signalLossTimer = setInterval(checkSignalLoss, 1000);
+
     // Show navigation screen
     showScreen('nav');
+    setFog(getStopFogLevel(trip, state.destination), state.destination.coordinates);
 
     // Tell Leaflet to recalculate map size
     setTimeout(() => {
         if (map) map.invalidateSize();
     }, 100);
 
-    // Fetch route
-    try {
-        const route = await fetchRoute(
-            state.currentPosition.lat,
-            state.currentPosition.lng,
-            state.destination.coordinates.lat,
-            state.destination.coordinates.lng
-        );
-
-        state.routeGeometry = route.geometry;
-        state.routeSteps = route.steps;
-        state.currentStepIndex = 0;
-        state.tripActive = true;
-
-        console.log(`Route loaded: ${route.steps.length} steps, ${formatDistance(route.distance)}`);
-
-        // Update UI
-        updateNavigationUI();
-
-    } catch (error) {
-        console.error('Failed to fetch route:', error);
-        showError('Route Error', 'Could not calculate route. Please check your connection and try again.');
-    }
+    // Fetch the whole trip up front: one leg per remaining stop
+    await loadRoute();
 }
 
 /**
  * Handle position updates from geolocation
  */
 function updatePosition(position) {
-    const { latitude, longitude, heading, accuracy } = position.coords;
+    // Smooth the fix and drop it if it's implausible
+    const fix = filterPosition(position, getNavProfile(state).maxSpeed);
+    if (!fix) return;
 
-    state.currentPosition = { lat: latitude, lng: longitude };
-    state.heading = heading;
-    state.accuracy = accuracy;
+    if (state.deadReckoning) {
+        console.log('GPS signal back');
+    }
+    state.lastFixTime = Date.now();
+    state.deadReckoning = false;
+
+    applyPosition(fix);
+}
 
-    // Update map
-    updateUserPosition(latitude, longitude, heading, accuracy);
+/**
+ * Move to a new position, from GPS or dead reckoning
+ * @param {Object} fix - {lat, lng, heading, speed, accuracy}
+ */
+function applyPosition(fix) {
+    state.currentPosition = { lat: fix.lat, lng: fix.lng };
+    state.heading = fix.heading;
+    state.speed = fix.speed;
+    state.accuracy = fix.accuracy;
 
     // If trip is active, update navigation
     if (state.tripActive) {
         updateNavigation();
     }
+
+    // Zoom out for speed, and in for the next turn
+    setFollowZoom(getFollowZoom(state.speed, state.tripActive ? state.distanceToNextManeuver : null));
+
+    // Update map, with the arrow on the road while we're following the route
+    const display = state.tripActive ? getDisplayPosition(state) : fix;
+    updateUserPosition(display.lat, display.lng, shouldUseCompass() ? getCompassHeading() : display.heading, fix.accuracy);
+
+    if (state.tripActive) {
+        updateFog(display.lat, display.lng);
+    }
+
+    // Go dark after sunset
+    updateTheme(fix.lat, fix.lng);
+}
+
+/**
+ * Bridge short GPS outages (tunnels, parking garages) by carrying on along the route
+ * Runs every second while a trip is active.
+ */
+function checkSignalLoss() {
+    if (!state.tripActive || !state.progress || !state.lastFixTime || !state.speed) return;
+
+    const silence = Date.now() - state.lastFixTime;
+    if (silence < NAV_CONFIG.signalLossAfter || silence > NAV_CONFIG.deadReckoningLimit) return;
+
+    if (!state.deadReckoning) {
+        console.log('GPS signal lost, dead reckoning along the route');
+        state.deadReckoning = true;
+    }
+
+    const position = getDeadReckonedPosition(state, 1);
+    applyPosition({
+        lat: position.lat,
+        lng: position.lng,
+        heading: position.heading,
+        speed: state.speed,
+        accuracy: state.accuracy
+    });
+}
+
+/**
+ * Stop watching the device's position and forget earlier fixes
+ */
+function stopPositionTracking() {
+    if (state.watchId) {
+        navigator.geolocation.clearWatch(state.watchId);
+        state.watchId = null;
+    }
+
+    clearInterval(state.signalLossTimer);
+    state.signalLossTimer = null;
+    state.deadReckoning = false;
+    resetPositionFilter();
+}
+
+/**
+ * Check whether the map should face the compass heading instead of GPS heading
+ * GPS heading is only meaningful once the traveler is moving at a decent pace.
+ * @returns {boolean}
+ */
+function shouldUseCompass() {
+    const threshold = getNavProfile(state).compassBelowSpeed;
+    if (threshold === null || getCompassHeading() === null) return false;
+
+    return state.speed === null || state.speed < threshold;
+}
+
+/**
+ * Handle a new compass reading
+ * @param {number} heading - Compass heading in degrees
+ */
+function handleCompassHeading(heading) {
+    if (state.currentPosition.lat === null || !shouldUseCompass()) return;
+
+    setMapHeading(heading);
 }
 
 /**
  * Update navigation state and UI
  */
 function updateNavigation() {
+    // Measure progress along the route; everything below works from it
+    updateRouteProgress(state);
+
     // Check for arrival first
     if (checkArrival(state)) {
         triggerArrival();
@@ -253,10 +586,16 @@ function updateNavigation() {
         state.currentStepIndex = newStepIndex;
         console.log(`Now on step ${newStepIndex}`);
     }
+    state.distanceToNextManeuver = getDistanceToNextManeuver(state);
 
     // Check if off-route
     checkOffRoute();
 
+    // Announce the upcoming maneuver, unless we've left the route it's on
+    if (!state.isOffRoute) {
+        updateVoiceGuidance(state);
+    }
+
     // Update UI
     updateNavigationUI();
 }
@@ -275,6 +614,19 @@ function updateNavigationUI() {
     // Draw route line for current segment
     const geometry = getCurrentStepGeometry(state);
     drawRouteLine(geometry);
+
+    // Mark the next turn, and frame it with the user once as it comes up
+    const marker = getManeuverMarker(state);
+    if (marker) {
+        drawManeuverMarker(marker.lat, marker.lng, marker.icon, marker.bearing);
+    } else {
+        clearManeuverMarker();
+    }
+
+    if (marker && shouldPreviewTurn(state)) {
+        state.previewedStep = state.routeSteps[getUpcomingStepIndex(state)];
+        previewTurn(state.currentPosition.lat, state.currentPosition.lng, marker.lat, marker.lng);
+    }
 }
 
 /**
@@ -283,14 +635,10 @@ function updateNavigationUI() {
 async function checkOffRoute() {
     if (!state.routeGeometry || state.routeGeometry.length === 0) return;
 
-    // Find closest point on route
-    const closest = findClosestPointOnRoute(state.currentPosition, state.routeGeometry);
-    state.distanceToRoute = closest.distance;
+    // Distance from the route comes from updateRouteProgress
+    const profile = getNavProfile(state);
 
-    const OFF_ROUTE_THRESHOLD = 75;
-    const OFF_ROUTE_DURATION = 3000;
-
-    if (closest.distance > OFF_ROUTE_THRESHOLD) {
+    if (state.distanceToRoute > profile.offRouteThreshold) {
         if (!state.offRouteStartTime) {
             state.offRouteStartTime = Date.now();
             state.isOffRoute = true;
@@ -298,7 +646,7 @@ async function checkOffRoute() {
         } else {
             const offRouteDuration = Date.now() - state.offRouteStartTime;
 
-            if (offRouteDuration >= OFF_ROUTE_DURATION && !state.isRerouting) {
+            if (offRouteDuration >= profile.offRouteDuration && !state.isRerouting) {
                 // Trigger re-route
                 await handleReroute();
             }
@@ -320,32 +668,51 @@ async function handleReroute() {
     // Check debounce
     if (state.lastRerouteTime) {
         const timeSince = Date.now() - state.lastRerouteTime;
-        if (timeSince < 10000) {
+        if (timeSince < NAV_CONFIG.rerouteDebounce) {
             console.log('Re-route debounced, waiting...');
             return;
         }
     }
 
+    // A failed re-route waits a while before trying again
+    if (state.rerouteRetryAt && Date.now() < state.rerouteRetryAt) {
+        return;
+    }
+
     console.log('Re-routing...');
     state.isRerouting = true;
     showRecalculating();
+    speak(t('voice.recalculating'));
+
+    const generation = state.tripGeneration;
 
     try {
-        const newRoute = await performReroute(state);
+        const newRoute = await performReroute(state, getRemainingStops(), trip);
+        if (generation !== state.tripGeneration) return;
 
-        state.routeGeometry = newRoute.geometry;
-        state.routeSteps = newRoute.steps;
-        state.currentStepIndex = 0;
+        applyRoute(newRoute);
         state.lastRerouteTime = Date.now();
+        state.rerouteRetryAt = null;
         state.offRouteStartTime = null;
         state.isOffRoute = false;
+        hideNetworkBanner();
 
         console.log('Re-route complete');
         updateNavigationUI();
 
     } catch (error) {
+        if (generation !== state.tripGeneration) return;
         console.error('Re-route failed:', error);
-        // Will retry after debounce period
+
+        // Without a network, lead the traveler back onto the downloaded route
+        const usingOffline = await useOfflineRoute();
+        if (generation !== state.tripGeneration) return;
+        if (usingOffline) {
+            updateNavigationUI();
+        }
+
+        showNetworkBanner(getRouteErrorBanner(error));
+        state.rerouteRetryAt = Date.now() + getRouteRetryDelay(error);
     } finally {
         state.isRerouting = false;
         hideRecalculating();
@@ -355,44 +722,78 @@ async function handleReroute() {
 /**
  * Trigger arrival sequence
  */
-function triggerArrival() {
+async function triggerArrival() {
     const currentStop = state.destination;
-    console.log(`Arrived at ${currentStop.name}!`);
 
     state.tripActive = false;
     state.arrived = true;
 
-    // Clear route line
+    // Clear route line, and lift the fog to show where we are
     clearRouteLine();
+    clearManeuverMarker();
+    clearFog(state.currentPosition.lat, state.currentPosition.lng);
+
+    // Sealed stops only open from a position at the stop, so unseal from here
+    const generation = state.tripGeneration;
+    let reveal;
+    let arrivalPhrase;
+    try {
+        reveal = await revealStop(currentStop, state.currentPosition, trip.secret);
+        arrivalPhrase = t('voice.arrivedAt', { name: reveal.name });
+    } catch (error) {
+        console.error('Failed to unseal stop:', error);
+        reveal = { name: t('arrival.fallback') };
+        arrivalPhrase = t('voice.arrived');
+    }
+
+    // Ended while unsealing
+    if (generation !== state.tripGeneration) return;
+
+    console.log(`Arrived at ${reveal.name}!`);
+    speak(arrivalPhrase);
 
     // Show destination marker
     addDestinationMarker(
         currentStop.coordinates.lat,
         currentStop.coordinates.lng,
-        currentStop.name
+        reveal.name
     );
 
     if (currentStop.isFinal) {
         // Final destination - show full arrival screen
         // Stop watching position
-        if (state.watchId) {
-            navigator.geolocation.clearWatch(state.watchId);
-            state.watchId = null;
+        stopPositionTracking();
+
+        if (tripId) {
+            markTripCompleted(tripId);
         }
 
-        document.getElementById('destination-name').textContent = currentStop.name;
-        document.getElementById('destination-description').textContent = currentStop.description || '';
+        document.getElementById('destination-name').textContent = reveal.name;
+        document.getElementById('destination-description').textContent = reveal.description || '';
+        setRecommendationText('destination-recommendation', reveal.recommendation);
         showScreen('arrival');
     } else {
         // Intermediate stop - show stop screen with continue option
         const stopNumber = state.currentStopIndex + 1;
-        document.getElementById('stop-label').textContent = `Welcome to Stop ${stopNumber}`;
-        document.getElementById('stop-name').textContent = currentStop.name;
-        document.getElementById('stop-recommendation').textContent = `We recommend: ${currentStop.recommendation}`;
+        document.getElementById('stop-label').textContent = t('stop.welcome', { number: stopNumber });
+        document.getElementById('stop-name').textContent = reveal.name;
+        setRecommendationText('stop-recommendation', reveal.recommendation);
+        document.getElementById('stop-description').textContent = reveal.description || '';
         showScreen('stop');
     }
 }
 
+/**
+ * Fill a recommendation element, leaving it empty when there is none
+ * @param {string} elementId - ID of the element to fill
+ * @param {string} recommendation - Stop recommendation (may be undefined)
+ */
+function setRecommendationText(elementId, recommendation) {
+    document.getElementById(elementId).textContent = recommendation
+        ? t('stop.recommend', { recommendation: recommendation })
+        : '';
+}
+
 /**
  * Continue to the next stop
  */
@@ -404,100 +805,340 @@ async function continueToNextStop() {
     state.destination = trip.stops[state.currentStopIndex];
     state.arrived = false;
 
-    console.log(`Now navigating to: ${state.destination.name}`);
+    console.log(`Now navigating to stop ${state.destination.id}`);
 
     // Show navigation screen
     showScreen('nav');
+    setFog(getStopFogLevel(trip, state.destination), state.destination.coordinates);
 
     // Tell Leaflet to recalculate map size
     setTimeout(() => {
         if (map) map.invalidateSize();
     }, 100);
 
-    // Fetch new route to next stop
+    // The next leg was fetched with the rest of the trip; only fetch if it's missing
+    state.routeLegs.shift();
+
+    if (state.routeLegs.length > 0) {
+        useCurrentLeg();
+        state.tripActive = true;
+        updateNavigationUI();
+        return;
+    }
+
+    await loadRoute();
+}
+
+/**
+ * Fetch the route through the remaining stops and start navigating it
+ * Only a route that can't exist ends on the error screen. Otherwise this
+ * falls back to the downloaded route, or keeps the nav screen up and tries
+ * again once the problem may have passed.
+ */
+async function loadRoute() {
+    clearTimeout(state.routeRetryTimer);
+    state.routeRetryTimer = null;
+
+    // The request can take a while with retries; the traveler may end the trip meanwhile
+    const generation = state.tripGeneration;
+
     try {
-        const route = await fetchRoute(
-            state.currentPosition.lat,
-            state.currentPosition.lng,
-            state.destination.coordinates.lat,
-            state.destination.coordinates.lng
-        );
+        const route = await fetchTripRoute(state.currentPosition, getRemainingStops(), trip);
+        if (generation !== state.tripGeneration) return;
 
-        state.routeGeometry = route.geometry;
-        state.routeSteps = route.steps;
-        state.currentStepIndex = 0;
+        applyRoute(route);
         state.tripActive = true;
+        hideNetworkBanner();
 
-        console.log(`Route to ${state.destination.name}: ${route.steps.length} steps, ${formatDistance(route.distance)}`);
+        console.log(`Route loaded: ${route.legs.length} legs, ${formatDistance(route.distance)}, ${formatDuration(route.duration)}`);
 
         // Update UI
         updateNavigationUI();
 
     } catch (error) {
+        if (generation !== state.tripGeneration) return;
         console.error('Failed to fetch route:', error);
-        showError('Route Error', 'Could not calculate route to next stop. Please check your connection and try again.');
+
+        const usingOffline = await useOfflineRoute();
+        if (generation !== state.tripGeneration) return;
+        if (usingOffline) {
+            state.tripActive = true;
+            showNetworkBanner(getRouteErrorBanner(error));
+            updateNavigationUI();
+            return;
+        }
+
+        if (error.kind === ROUTE_ERRORS.noRoute) {
+            showError(t('error.noRoute'), t('error.noRouteMessage'));
+            return;
+        }
+
+        // Asking again won't change the server's mind about the request
+        if (error.kind === ROUTE_ERRORS.invalidRequest) {
+            showError(t('error.routeRequest'), t('error.routeRequestMessage'));
+            return;
+        }
+
+        // Offline, rate limited or a server hiccup: these pass, so wait it out
+        showNetworkBanner(getRouteErrorBanner(error));
+        state.routeRetryTimer = setTimeout(loadRoute, getRouteRetryDelay(error));
+    }
+}
+
+/**
+ * Get the banner text for a route request that failed
+ * @param {Error} error - Route error from fetchRoute
+ * @returns {string} Banner text
+ */
+function getRouteErrorBanner(error) {
+    switch (error.kind) {
+        case ROUTE_ERRORS.offline:
+            return state.usingOfflineRoute ? t('banner.offlineDownloaded') : t('banner.offline');
+        case ROUTE_ERRORS.rateLimited:
+            return t('banner.rateLimited');
+        case ROUTE_ERRORS.noRoute:
+            return t('banner.noRoute');
+        default:
+            return t('banner.server');
     }
 }
 
+/**
+ * Get how long to wait before retrying a failed route request
+ * @param {Error} error - Route error from fetchRoute
+ * @returns {number} Delay in ms
+ */
+function getRouteRetryDelay(error) {
+    return error.retryAfter || NAV_CONFIG.routeRetryDelay;
+}
+
+/**
+ * Handle the browser going offline
+ */
+function handleOffline() {
+    console.log('Network offline');
+
+    if (state.tripActive || state.routeRetryTimer) {
+        showNetworkBanner(getRouteErrorBanner({ kind: ROUTE_ERRORS.offline }));
+    }
+}
+
+/**
+ * Handle the browser coming back online
+ */
+function handleOnline() {
+    console.log('Network online');
+    hideNetworkBanner();
+
+    // Don't make the traveler wait out a retry delay meant for a dead zone
+    state.rerouteRetryAt = null;
+
+    if (state.routeRetryTimer) {
+        loadRoute();
+    }
+}
+
+/**
+ * Get the stops still to visit, starting with the current destination
+ * @returns {Array} Trip stops
+ */
+function getRemainingStops() {
+    return trip.stops.slice(state.currentStopIndex);
+}
+
+/**
+ * Store a freshly fetched route and navigate its first leg
+ * @param {Object} route - Parsed route through the remaining stops
+ */
+function applyRoute(route) {
+    state.routeLegs = route.legs;
+    state.usingOfflineRoute = false;
+    useCurrentLeg();
+}
+
+/**
+ * Fall back to the route downloaded for offline use
+ * @returns {Promise<boolean>} Whether the downloaded route is now in use
+ */
+async function useOfflineRoute() {
+    if (state.usingOfflineRoute && state.routeLegs.length > 0) return true;
+
+    const generation = state.tripGeneration;
+    const route = await loadOfflineRoute(getOfflineTripKey(trip, tripId), state.currentStopIndex);
+    if (!route || generation !== state.tripGeneration) return false;
+
+    applyRoute(route);
+    state.usingOfflineRoute = true;
+
+    console.log('Routing unavailable, following the downloaded route');
+    return true;
+}
+
+/**
+ * Point navigation at the first leg in state.routeLegs
+ */
+function useCurrentLeg() {
+    const leg = state.routeLegs[0];
+
+    state.routeGeometry = leg.geometry;
+    state.routeSteps = leg.steps;
+    state.currentStepIndex = 0;
+    state.profile = leg.profile || NAV_CONFIG.defaultProfile;
+    initRouteProgress(state);
+
+    console.log(`Leg ${state.currentStopIndex + 1} of ${state.stopCount} (${state.profile}): ${leg.steps.length} steps, ${formatDistance(leg.distance)}`);
+}
+
 /**
  * End the trip early
  */
 function endTrip() {
     console.log('Trip ended by user');
+    resetApp();
+}
 
-    state.tripActive = false;
+/**
+ * Stop tracking, guidance and map overlays left over from a trip
+ */
+function stopNavigation() {
+    stopPositionTracking();
+    stopCompass();
 
-    if (state.watchId) {
-        navigator.geolocation.clearWatch(state.watchId);
-        state.watchId = null;
-    }
+    clearTimeout(state.routeRetryTimer);
+    state.routeRetryTimer = null;
+    hideNetworkBanner();
+    resetVoiceGuidance();
 
     clearRouteLine();
-    resetApp();
+    clearManeuverMarker();
+    removeFog();
+    resetMapAnimation();
 }
 
 /**
- * Reset app to initial state
+ * Reset app to initial state. Used both for ending a trip early and for
+ * the Done button after arrival.
  */
 function resetApp() {
     state.tripActive = false;
+    state.tripGeneration++;
+    stopNavigation();
+
     state.arrived = false;
     state.currentStopIndex = 0;
     state.destination = trip.stops[0];
+    state.profile = trip.stops[0].profile || trip.profile || NAV_CONFIG.defaultProfile;
+    state.routeLegs = [];
+    state.usingOfflineRoute = false;
     state.routeGeometry = null;
+    state.progress = null;
     state.routeSteps = [];
     state.currentStepIndex = 0;
     state.isOffRoute = false;
     state.offRouteStartTime = null;
     state.isRerouting = false;
+    state.rerouteRetryAt = null;
 
+    refreshCompletedBadges();
     showScreen('start');
 
     // Restart position watching for the map
     requestLocationPermission();
 }
 
+/**
+ * Mute or unmute voice guidance
+ */
+function toggleVoice() {
+    setVoiceMuted(!isVoiceMuted());
+    updateVoiceButton();
+}
+
+/**
+ * Show whether voice guidance is muted on the mute button
+ */
+function updateVoiceButton() {
+    const button = document.getElementById('voice-btn');
+
+    if (!isVoiceSupported()) {
+        button.style.display = 'none';
+        return;
+    }
+
+    const muted = isVoiceMuted();
+    button.textContent = muted ? '🔇' : '🔊';
+    button.setAttribute('aria-label', muted ? t('voice.unmute') : t('voice.mute'));
+}
+
+/**
+ * Show the recenter button while the map isn't following the user
+ * @param {boolean} following - Whether the map is following the user
+ */
+function handleFollowChange(following) {
+    document.getElementById('recenter-btn').classList.toggle('active', !following);
+}
+
+/**
+ * Switch between miles and kilometers
+ */
+function toggleUnits() {
+    setUnits(getUnits() === 'metric' ? 'imperial' : 'metric');
+    updateUnitsButton();
+
+    if (state.tripActive) {
+        updateNavigationUI();
+    }
+}
+
+/**
+ * Show the active unit system on the units button
+ */
+function updateUnitsButton() {
+    document.getElementById('units-btn').textContent = getUnits() === 'metric' ? 'km' : 'mi';
+}
+
+/**
+ * Cycle the day/night setting: automatic, always day, always night
+ */
+function toggleTheme() {
+    const mode = getThemeMode();
+    setThemeMode(THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length]);
+    updateThemeButton();
+    updateTheme(state.currentPosition.lat, state.currentPosition.lng, true);
+}
+
+/**
+ * Show the day/night setting on its button
+ */
+function updateThemeButton() {
+    const mode = getThemeMode();
+    const button = document.getElementById('theme-btn');
+
+    button.textContent = { auto: '◐', day: '☀', night: '☾' }[mode];
+    button.setAttribute('aria-label', t(`theme.${mode}`));
+}
+
 /**
  * Handle location errors
  */
 function handleLocationError(error) {
     console.error('Geolocation error:', error);
 
-    let title = 'Location Error';
-    let message = 'An error occurred while getting your location.';
+    let title = t('error.location');
+    let message = t('error.locationMessage');
 
     switch (error.code) {
         case error.PERMISSION_DENIED:
-            title = 'Location Required';
-            message = 'Vromp needs your location to guide you. Please enable location access in your browser settings.';
+            title = t('error.locationRequired');
+            message = t('error.locationDenied');
             break;
         case error.POSITION_UNAVAILABLE:
-            title = 'Location Unavailable';
-            message = 'Your location could not be determined. Please check your GPS signal.';
+            title = t('error.locationUnavailable');
+            message = t('error.locationUnavailableMessage');
             break;
         case error.TIMEOUT:
-            title = 'Location Timeout';
-            message = 'Getting your location took too long. Please try again.';
+            title = t('error.locationTimeout');
+            message = t('error.locationTimeoutMessage');
             break;
     }
 
@@ -0,0 +1,537 @@
+/**
+ * Authoring module for Vromp
+ * Lets organizers build a trip on the map and export it as trip JSON
+ */
+
+const AUTHORING_CONFIG = {
+    defaultRadius: 75, // meters
+    defaultCenter: { lat: 40.7608, lng: -111.8910 }, // used when we have no location yet
+    defaultZoom: 13,
+    coordinatePrecision: 6 // decimal places kept on export (~10 cm)
+};
+
+// Authoring state
+const authoring = {
+    map: null,
+    stops: [],          // {id, name, recommendation, description, arrivalRadius, marker, circle}
+    selectedIndex: -1,
+    routeLayer: null,
+    nextStopNumber: 1
+};
+
+/**
+ * Check whether the page was opened in authoring mode (?author)
+ * @returns {boolean}
+ */
+function isAuthoringRequested() {
+    return new URLSearchParams(window.location.search).has('author');
+}
+
+/**
+ * Open the authoring screen
+ * @param {Object} sourceTrip - Optional trip to start editing from
+ */
+function openAuthoring(sourceTrip) {
+    showScreen('author');
+
+    if (!authoring.map) {
+        authoring.map = createBaseMap('author-map');
+        authoring.map.on('click', (event) => addAuthoringStop(event.latlng));
+        setupAuthoringListeners();
+
+        if (sourceTrip) {
+            loadAuthoringTrip(sourceTrip);
+        }
+    }
+
+    // The container was hidden until now, so Leaflet needs to re-measure it
+    setTimeout(() => {
+        authoring.map.invalidateSize();
+        fitAuthoringView();
+    }, 100);
+
+    renderAuthoringStops();
+}
+
+/**
+ * Set up event listeners for the authoring controls
+ */
+function setupAuthoringListeners() {
+    document.getElementById('author-stop-name').addEventListener('input', (event) => {
+        updateSelectedStop('name', event.target.value);
+    });
+    document.getElementById('author-stop-recommendation').addEventListener('input', (event) => {
+        updateSelectedStop('recommendation', event.target.value);
+    });
+    document.getElementById('author-stop-description').addEventListener('input', (event) => {
+        updateSelectedStop('description', event.target.value);
+    });
+    document.getElementById('author-stop-radius').addEventListener('input', (event) => {
+        const radius = parseFloat(event.target.value);
+        if (radius > 0) {
+            updateSelectedStop('arrivalRadius', radius);
+        }
+    });
+
+    document.getElementById('author-delete-btn').addEventListener('click', deleteSelectedStop);
+    document.getElementById('author-preview-btn').addEventListener('click', previewAuthoringRoute);
+    document.getElementById('author-export-btn').addEventListener('click', exportAuthoringTrip);
+    document.getElementById('author-share-btn').addEventListener('click', shareAuthoringTrip);
+    document.getElementById('author-exit-btn').addEventListener('click', closeAuthoring);
+}
+
+/**
+ * Close the authoring screen and go back to the start screen
+ */
+function closeAuthoring() {
+    // Without a loaded trip the start screen has nothing to offer
+    if (!trip) {
+        window.location.href = window.location.pathname;
+        return;
+    }
+    showScreen('start');
+}
+
+/**
+ * Copy the stops of an existing trip into the editor
+ * @param {Object} sourceTrip - Validated trip object
+ */
+function loadAuthoringTrip(sourceTrip) {
+    // Sealed stops can't be read back, so they can't be edited either
+    if (sourceTrip.stops.some(isStopSealed)) {
+        showAuthoringOutput([t('author.sealed')], '');
+        return;
+    }
+
+    document.getElementById('author-teaser').value = sourceTrip.teaser || '';
+
+    sourceTrip.stops.forEach(stop => {
+        addAuthoringStop(L.latLng(stop.coordinates.lat, stop.coordinates.lng), {
+            id: stop.id,
+            name: stop.name,
+            recommendation: stop.recommendation || '',
+            description: stop.description || '',
+            arrivalRadius: stop.arrivalRadius
+        });
+    });
+
+    selectAuthoringStop(-1);
+}
+
+/**
+ * Move the map to show the stops, the user, or the default area
+ */
+function fitAuthoringView() {
+    if (authoring.stops.length > 0) {
+        const bounds = L.latLngBounds(authoring.stops.map(stop => stop.marker.getLatLng()));
+        authoring.map.fitBounds(bounds, { padding: [40, 40], maxZoom: MAP_CONFIG.defaultZoom });
+    } else if (state.currentPosition.lat) {
+        authoring.map.setView([state.currentPosition.lat, state.currentPosition.lng], AUTHORING_CONFIG.defaultZoom);
+    } else {
+        const center = AUTHORING_CONFIG.defaultCenter;
+        authoring.map.setView([center.lat, center.lng], AUTHORING_CONFIG.defaultZoom);
+    }
+}
+
+/**
+ * Drop a new stop on the map
+ * @param {Object} latlng - Leaflet LatLng of the stop
+ * @param {Object} fields - Optional initial stop fields
+ */
+function addAuthoringStop(latlng, fields = {}) {
+    const stop = {
+        id: fields.id || nextAuthoringStopId(),
+        name: fields.name || '',
+        recommendation: fields.recommendation || '',
+        description: fields.description || '',
+        arrivalRadius: fields.arrivalRadius || AUTHORING_CONFIG.defaultRadius,
+        marker: null,
+        circle: null
+    };
+
+    stop.circle = L.circle(latlng, {
+        radius: stop.arrivalRadius,
+        className: 'author-radius',
+        interactive: false
+    }).addTo(authoring.map);
+
+    stop.marker = L.marker(latlng, {
+        icon: createAuthoringIcon(authoring.stops.length + 1, false),
+        draggable: true
+    }).addTo(authoring.map);
+
+    stop.marker.on('drag', () => stop.circle.setLatLng(stop.marker.getLatLng()));
+    stop.marker.on('dragend', clearAuthoringRoute);
+    stop.marker.on('click', () => selectAuthoringStop(authoring.stops.indexOf(stop)));
+
+    authoring.stops.push(stop);
+    clearAuthoringRoute();
+    selectAuthoringStop(authoring.stops.length - 1);
+}
+
+/**
+ * Generate a stop id that is not used by any existing stop
+ * @returns {string} Stop id
+ */
+function nextAuthoringStopId() {
+    let id;
+    do {
+        id = `stop${authoring.nextStopNumber++}`;
+    } while (authoring.stops.some(stop => stop.id === id));
+    return id;
+}
+
+/**
+ * Create the numbered marker icon for a stop
+ * @param {number} number - 1-based stop number
+ * @param {boolean} selected - Whether the stop is selected
+ * @returns {Object} Leaflet divIcon
+ */
+function createAuthoringIcon(number, selected) {
+    return L.divIcon({
+        className: 'author-marker-container',
+        html: `<div class="author-marker${selected ? ' selected' : ''}">${number}</div>`,
+        iconSize: [28, 28],
+        iconAnchor: [14, 14]
+    });
+}
+
+/**
+ * Select a stop for editing
+ * @param {number} index - Stop index, or -1 to clear the selection
+ */
+function selectAuthoringStop(index) {
+    authoring.selectedIndex = index;
+
+    const editor = document.getElementById('author-editor');
+    const stop = authoring.stops[index];
+
+    if (stop) {
+        document.getElementById('author-stop-name').value = stop.name;
+        document.getElementById('author-stop-recommendation').value = stop.recommendation;
+        document.getElementById('author-stop-description').value = stop.description;
+        document.getElementById('author-stop-radius').value = stop.arrivalRadius;
+        editor.classList.add('active');
+    } else {
+        editor.classList.remove('active');
+    }
+
+    renderAuthoringStops();
+}
+
+/**
+ * Update a field on the selected stop
+ * @param {string} field - Stop field name
+ * @param {*} value - New value
+ */
+function updateSelectedStop(field, value) {
+    const stop = authoring.stops[authoring.selectedIndex];
+    if (!stop) return;
+
+    stop[field] = value;
+
+    if (field === 'arrivalRadius') {
+        stop.circle.setRadius(value);
+    }
+
+    renderAuthoringStops();
+}
+
+/**
+ * Delete the selected stop
+ */
+function deleteSelectedStop() {
+    const stop = authoring.stops[authoring.selectedIndex];
+    if (!stop) return;
+
+    authoring.map.removeLayer(stop.marker);
+    authoring.map.removeLayer(stop.circle);
+    authoring.stops.splice(authoring.selectedIndex, 1);
+
+    clearAuthoringRoute();
+    selectAuthoringStop(-1);
+}
+
+/**
+ * Move a stop to a new position in the visiting order
+ * @param {number} fromIndex - Current index
+ * @param {number} toIndex - New index
+ */
+function moveAuthoringStop(fromIndex, toIndex) {
+    if (fromIndex === toIndex) return;
+
+    const selectedStop = authoring.stops[authoring.selectedIndex];
+    const [stop] = authoring.stops.splice(fromIndex, 1);
+    authoring.stops.splice(toIndex, 0, stop);
+
+    authoring.selectedIndex = authoring.stops.indexOf(selectedStop);
+    clearAuthoringRoute();
+    renderAuthoringStops();
+}
+
+/**
+ * Redraw the stop list and marker numbers
+ */
+function renderAuthoringStops() {
+    const listEl = document.getElementById('author-stop-list');
+    const hintEl = document.getElementById('author-hint');
+
+    listEl.innerHTML = '';
+    hintEl.style.display = authoring.stops.length === 0 ? '' : 'none';
+
+    authoring.stops.forEach((stop, index) => {
+        const selected = index === authoring.selectedIndex;
+        stop.marker.setIcon(createAuthoringIcon(index + 1, selected));
+
+        const item = document.createElement('li');
+        item.className = `author-stop${selected ? ' selected' : ''}`;
+
+        const handle = document.createElement('span');
+        handle.className = 'author-drag-handle';
+        handle.textContent = '☰';
+        handle.addEventListener('pointerdown', (event) => startStopDrag(event, index));
+
+        const label = document.createElement('span');
+        label.className = 'author-stop-label';
+        const isFinal = index === authoring.stops.length - 1;
+        label.textContent = `${index + 1}. ${stop.name || t('author.untitled')}${isFinal ? ` ${t('author.final')}` : ''}`;
+
+        item.appendChild(handle);
+        item.appendChild(label);
+        item.addEventListener('click', () => selectAuthoringStop(index));
+        listEl.appendChild(item);
+    });
+}
+
+/**
+ * Drag a stop row by its handle to reorder it
+ * Uses pointer events so it works for both touch and mouse.
+ * @param {Object} event - pointerdown event on the drag handle
+ * @param {number} fromIndex - Index of the dragged stop
+ */
+function startStopDrag(event, fromIndex) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const listEl = document.getElementById('author-stop-list');
+    const rows = Array.from(listEl.children);
+    const draggedRow = rows[fromIndex];
+    let toIndex = fromIndex;
+
+    draggedRow.classList.add('dragging');
+
+    const onMove = (moveEvent) => {
+        // Drop position is the number of other rows whose midpoint is above the pointer
+        toIndex = rows.filter((row, index) => {
+            if (index === fromIndex) return false;
+            const rect = row.getBoundingClientRect();
+            return moveEvent.clientY > rect.top + rect.height / 2;
+        }).length;
+
+        rows.forEach(row => row.classList.remove('drop-before', 'drop-after'));
+        const others = rows.filter((row, index) => index !== fromIndex);
+        if (toIndex < others.length) {
+            others[toIndex].classList.add('drop-before');
+        } else if (others.length > 0) {
+            others[others.length - 1].classList.add('drop-after');
+        }
+    };
+
+    const onEnd = () => {
+        document.removeEventListener('pointermove', onMove);
+        document.removeEventListener('pointerup', onEnd);
+        document.removeEventListener('pointercancel', onEnd);
+        moveAuthoringStop(fromIndex, toIndex);
+    };
+
+    document.addEventListener('pointermove', onMove);
+    document.addEventListener('pointerup', onEnd);
+    document.addEventListener('pointercancel', onEnd);
+}
+
+/**
+ * Remove the previewed route from the map
+ */
+function clearAuthoringRoute() {
+    if (authoring.routeLayer) {
+        authoring.map.removeLayer(authoring.routeLayer);
+        authoring.routeLayer = null;
+    }
+}
+
+/**
+ * Fetch and draw the route between consecutive stops
+ */
+async function previewAuthoringRoute() {
+    if (authoring.stops.length < 2) {
+        showAuthoringOutput([t('author.needTwoStops')], '');
+        return;
+    }
+
+    clearAuthoringRoute();
+    const button = document.getElementById('author-preview-btn');
+    button.disabled = true;
+
+    try {
+        const route = await fetchRoute(authoring.stops.map(stop => stop.marker.getLatLng()));
+
+        authoring.routeLayer = L.polyline(route.geometry, {
+            color: '#4a90d9',
+            weight: 5,
+            opacity: 0.8
+        }).addTo(authoring.map);
+
+        showAuthoringOutput([], t('author.previewResult', {
+            distance: formatDistance(route.distance),
+            duration: formatDuration(route.duration)
+        }));
+    } catch (error) {
+        console.error('Route preview failed:', error);
+        showAuthoringOutput([t('author.previewFailed')], '');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Build a trip object in the format the navigator loads
+ * The last stop becomes the final stop.
+ * @returns {Object} Trip object
+ */
+function buildAuthoredTrip() {
+    const round = (value) => Number(value.toFixed(AUTHORING_CONFIG.coordinatePrecision));
+    const teaser = document.getElementById('author-teaser').value.trim();
+
+    const stops = authoring.stops.map((stop, index) => {
+        const latlng = stop.marker.getLatLng();
+        const exported = {
+            id: stop.id,
+            name: stop.name.trim(),
+            coordinates: { lat: round(latlng.lat), lng: round(latlng.lng) },
+            arrivalRadius: stop.arrivalRadius,
+            isFinal: index === authoring.stops.length - 1
+        };
+
+        if (stop.recommendation.trim()) exported.recommendation = stop.recommendation.trim();
+        if (stop.description.trim()) exported.description = stop.description.trim();
+
+        return exported;
+    });
+
+    return teaser ? { teaser, stops } : { stops };
+}
+
+/**
+ * Build and validate the authored trip, sealing its stops if requested
+ * Validation runs before sealing, while the reveal text is still readable.
+ * @returns {Promise<Object>} {trip, problems}
+ */
+async function prepareAuthoredTrip() {
+    const authoredTrip = buildAuthoredTrip();
+    const seal = document.getElementById('author-seal').checked;
+    const problems = validateTrip(authoredTrip);
+
+    if (seal) {
+        authoredTrip.stops.forEach((stop, index) => {
+            problems.push(...validateSealedRadius(stop, t('schema.stop', { number: index + 1 })));
+        });
+    }
+
+    if (problems.length > 0 || !seal) {
+        return { trip: authoredTrip, problems };
+    }
+
+    const secret = generateTripSecret();
+    const stops = await Promise.all(authoredTrip.stops.map(stop => sealStop(stop, secret)));
+
+    return { trip: { ...authoredTrip, secret, stops }, problems };
+}
+
+/**
+ * Validate the authored trip and download it as JSON
+ */
+async function exportAuthoringTrip() {
+    const { trip: authoredTrip, problems } = await prepareAuthoredTrip();
+
+    if (problems.length > 0) {
+        showAuthoringOutput(problems, '');
+        return;
+    }
+
+    const json = JSON.stringify(authoredTrip, null, 4);
+
+    const tripId = document.getElementById('author-trip-id').value.trim() || 'my-trip';
+    if (!TRIP_ID_PATTERN.test(tripId)) {
+        showAuthoringOutput([t('author.badId')], '');
+        return;
+    }
+
+    const blob = new Blob([json + '\n'], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${tripId}.json`;
+    link.click();
+    // Some browsers start the download after click() returns
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    showAuthoringOutput([], t('author.saved', { id: tripId }), json);
+}
+
+/**
+ * Validate the authored trip and produce a share link for it
+ */
+async function shareAuthoringTrip() {
+    const { trip: authoredTrip, problems } = await prepareAuthoredTrip();
+
+    if (problems.length > 0) {
+        showAuthoringOutput(problems, '');
+        return;
+    }
+
+    let link;
+    try {
+        link = await createShareLink(authoredTrip);
+    } catch (error) {
+        console.error('Share link failed:', error);
+        showAuthoringOutput([t('author.noShare')], '');
+        return;
+    }
+
+    // Prefer the native share sheet on phones, fall back to the clipboard
+    if (navigator.share) {
+        try {
+            await navigator.share({ title: t('author.shareTitle'), url: link });
+            showAuthoringOutput([], t('author.shared'), link);
+            return;
+        } catch (error) {
+            console.log('Share sheet closed:', error.name);
+        }
+    }
+
+    try {
+        await navigator.clipboard.writeText(link);
+        showAuthoringOutput([], t('author.copied'), link);
+    } catch (error) {
+        showAuthoringOutput([], t('author.copy'), link);
+    }
+}
+
+/**
+ * Show validation problems or a status message under the authoring controls
+ * @param {Array<string>} problems - Problems to list
+ * @param {string} message - Status message when there are no problems
+ * @param {string} json - Optional exported JSON or link to show for copying
+ */
+function showAuthoringOutput(problems, message, json = '') {
+    const messageEl = document.getElementById('author-message');
+    const jsonEl = document.getElementById('author-json');
+
+    messageEl.classList.toggle('error', problems.length > 0);
+    messageEl.textContent = problems.length > 0
+        ? problems.map(problem => `• ${problem}`).join('\n')
+        : message;
+
+    jsonEl.value = json;
+    jsonEl.style.display = json ? '' : 'none';
+}
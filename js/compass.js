@@ -0,0 +1,89 @@
+/**
+ * Compass module for Vromp
+ * Reads the device compass so the map can face the way the traveler is
+ * pointing when they move too slowly for GPS heading to mean anything
+ */
+
+// Latest compass heading in degrees clockwise from north, or null if unknown
+let compassHeading = null;
+let compassListening = false;
+let compassListener = null; // {eventName, handler} while listening
+let compassGeneration = 0; // Bumped by stopCompass, so a start waiting on the permission prompt gives up
+
+/**
+ * Start listening to the device compass
+ * iOS only grants access from a user gesture, so call this from a click handler.
+ * @param {Function} onHeading - Called with each new heading in degrees
+ * @returns {Promise<boolean>} Whether compass readings will arrive
+ */
+async function startCompass(onHeading) {
+    if (compassListening) return true;
+    if (typeof DeviceOrientationEvent === 'undefined') return false;
+
+    const generation = compassGeneration;
+
+    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+        try {
+            const permission = await DeviceOrientationEvent.requestPermission();
+            if (permission !== 'granted') {
+                console.log('Compass permission denied');
+                return false;
+            }
+        } catch (error) {
+            console.warn('Compass permission error:', error);
+            return false;
+        }
+
+        // Stopped while the prompt was open, or a second tap already started it
+        if (generation !== compassGeneration) return false;
+        if (compassListening) return true;
+    }
+
+    const handleOrientation = (event) => {
+        let heading = null;
+
+        if (typeof event.webkitCompassHeading === 'number') {
+            // iOS reports a true compass heading directly
+            heading = event.webkitCompassHeading;
+        } else if (event.absolute && typeof event.alpha === 'number') {
+            // alpha counts counter-clockwise from north
+            heading = (360 - event.alpha) % 360;
+        }
+
+        if (heading === null) return;
+
+        compassHeading = heading;
+        onHeading(heading);
+    };
+
+    // Chrome only gives north-referenced readings on the "absolute" event
+    const eventName = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+    window.addEventListener(eventName, handleOrientation);
+    compassListener = { eventName: eventName, handler: handleOrientation };
+
+    compassListening = true;
+    console.log('Compass started');
+    return true;
+}
+
+/**
+ * Stop listening to the device compass, e.g. when a trip ends
+ */
+function stopCompass() {
+    compassGeneration++;
+    if (!compassListening) return;
+
+    window.removeEventListener(compassListener.eventName, compassListener.handler);
+    compassListener = null;
+    compassListening = false;
+    compassHeading = null;
+    console.log('Compass stopped');
+}
+
+/**
+ * Get the latest compass heading
+ * @returns {number|null} Degrees clockwise from north, or null if unknown
+ */
+function getCompassHeading() {
+    return compassHeading;
+}
@@ -0,0 +1,48 @@
+/**
+ * Deployment configuration for Vromp
+ * Edit this file to point the app at your own servers
+ */
+
+const VROMP_CONFIG = {
+    routing: {
+        // 'osrm', 'valhalla', 'graphhopper' or 'fixture'
+        provider: 'osrm',
+
+        // Server root, e.g. 'http://localhost:5000' for a local OSRM.
+        // null uses the provider's default (the public OSRM demo server for 'osrm').
+        // For 'fixture' this is an optional URL of an OSRM-format JSON response.
+        // Use {driving: ..., walking: ..., cycling: ...} to send each travel
+        // profile to its own server (OSRM runs one profile per server).
+        baseUrl: null,
+
+        // Only needed for hosted GraphHopper
+        apiKey: null,
+
+        // Give up on a request after this long (ms), then retry up to
+        // maxRetries times, doubling retryDelay (ms) each time
+        timeout: 10000,
+        maxRetries: 2,
+        retryDelay: 1000
+    },
+
+    // Map tiles for the day and night themes. Point url at your own server
+    // for a local tile server, e.g. 'http://localhost:8080/tile/{z}/{x}/{y}.png'.
+    // {s} picks one of subdomains; leave it out if the server has none.
+    // Set allowsOffline only for servers whose terms allow bulk downloads;
+    // until at least one style does, "Download for offline" saves just the
+    // route. The public OpenStreetMap and CARTO servers forbid it.
+    tiles: {
+        day: {
+            url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+            subdomains: 'abc',
+            attribution: '© OpenStreetMap',
+            allowsOffline: false
+        },
+        night: {
+            url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}.png',
+            subdomains: 'abcd',
+            attribution: '© OpenStreetMap © CARTO',
+            allowsOffline: false
+        }
+    }
+};
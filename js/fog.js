@@ -0,0 +1,229 @@
+/**
+ * Fog module for Vromp
+ * Hides the map beyond a circle around the traveler, so labels near the end
+ * of the route don't give the destination away
+ *
+ * A second, stronger mask covers the area around the current stop until the
+ * traveler is close. It's centered a random distance off the stop, so its
+ * middle doesn't mark the spot. Trips pick a fog level per stop (see
+ * trips/README.md); the fog clears on arrival.
+ */
+
+const FOG_CONFIG = {
+    color: '#1a1a2e',
+    circlePoints: 64, // polygon points per circle
+    destinationJitter: 0.5, // fraction of destinationRadius the mask may sit off the stop
+    clearDuration: 1500, // ms - how long the fog takes to lift on arrival
+    clearGrowth: 3 // clear circle grows to this many times its radius as the fog lifts
+};
+
+// Fog levels a trip or stop can ask for. Distances in meters.
+const FOG_LEVELS = {
+    off: null,
+    light: {
+        radius: 1500, // clear circle around the traveler
+        opacity: 0.6,
+        destinationRadius: 400, // stronger mask around the stop
+        destinationOpacity: 0.85,
+        revealDistance: 300 // lift the stop's mask this close to it
+    },
+    medium: {
+        radius: 800,
+        opacity: 0.8,
+        destinationRadius: 600,
+        destinationOpacity: 0.95,
+        revealDistance: 200
+    },
+    heavy: {
+        radius: 400,
+        opacity: 0.92,
+        destinationRadius: 800,
+        destinationOpacity: 1,
+        revealDistance: 120
+    }
+};
+
+// Fog state for the current leg
+let fogLevel = null; // Entry from FOG_LEVELS, or null when there's no fog
+let fogLayer = null; // Leaflet polygon: the world with a hole around the traveler
+let destinationFogLayer = null; // Leaflet polygon over the stop's area
+let fogDestination = null; // {lat, lng} of the stop
+let fogDestinationCenter = null; // [lat, lng] the stop's mask is centered on
+let fogFrame = null; // Animation frame while the fog clears
+
+/**
+ * Check whether a value names a fog level
+ * @param {*} value - Value from a trip or stop
+ * @returns {boolean} True for own keys of FOG_LEVELS only
+ */
+function isFogLevel(value) {
+    return typeof value === 'string' && Object.prototype.hasOwnProperty.call(FOG_LEVELS, value);
+}
+
+/**
+ * Get the fog level for a stop: its own, else the trip's, else none
+ * @param {Object} trip - Trip definition
+ * @param {Object} stop - Trip stop
+ * @returns {string} Key of FOG_LEVELS
+ */
+function getStopFogLevel(trip, stop) {
+    return (stop && stop.fog) || (trip && trip.fog) || 'off';
+}
+
+/**
+ * Set up the fog for a leg
+ * @param {string} level - Key of FOG_LEVELS
+ * @param {Object} destination - {lat, lng} of the stop being navigated to
+ */
+function setFog(level, destination) {
+    removeFog();
+
+    fogLevel = isFogLevel(level) ? FOG_LEVELS[level] : null;
+    if (!fogLevel) return;
+
+    fogDestination = { lat: destination.lat, lng: destination.lng };
+    const offset = Math.random() * FOG_CONFIG.destinationJitter * fogLevel.destinationRadius;
+    fogDestinationCenter = getDestinationPoint(destination.lat, destination.lng, Math.random() * 360, offset);
+
+    console.log(`Fog: ${level}`);
+}
+
+/**
+ * Move the clear circle to the traveler, and show or lift the stop's mask
+ * The stop's mask is only drawn when the clear circle reaches its area;
+ * further out the main fog already hides it.
+ * @param {number} lat - Traveler latitude
+ * @param {number} lng - Traveler longitude
+ */
+function updateFog(lat, lng) {
+    if (!fogLevel || fogFrame !== null) return;
+
+    drawFog(lat, lng, fogLevel.radius, 1);
+
+    const [maskLat, maskLng] = fogDestinationCenter;
+    const overlaps = getDistanceMeters(lat, lng, maskLat, maskLng) < fogLevel.radius + fogLevel.destinationRadius;
+    const revealed = getDistanceMeters(lat, lng, fogDestination.lat, fogDestination.lng) <= fogLevel.revealDistance;
+
+    if (overlaps && !revealed) {
+        drawDestinationFog(1);
+    } else if (destinationFogLayer) {
+        getMap().removeLayer(destinationFogLayer);
+        destinationFogLayer = null;
+    }
+}
+
+/**
+ * Draw the main fog: everything outside a circle around the traveler
+ * @param {number} lat - Circle center latitude
+ * @param {number} lng - Circle center longitude
+ * @param {number} radius - Clear radius in meters
+ * @param {number} strength - 0 (gone) to 1 (the level's full opacity)
+ */
+function drawFog(lat, lng, radius, strength) {
+    const world = [[-85, -180], [-85, 180], [85, 180], [85, -180]];
+    const rings = [world, getCirclePoints(lat, lng, radius)];
+
+    if (fogLayer) {
+        fogLayer.setLatLngs(rings);
+        fogLayer.setStyle({ fillOpacity: fogLevel.opacity * strength });
+        return;
+    }
+
+    fogLayer = L.polygon(rings, {
+        stroke: false,
+        fillColor: FOG_CONFIG.color,
+        fillOpacity: fogLevel.opacity * strength,
+        interactive: false
+    }).addTo(getMap());
+}
+
+/**
+ * Draw the stronger mask over the stop's area
+ * @param {number} strength - 0 (gone) to 1 (the level's full opacity)
+ */
+function drawDestinationFog(strength) {
+    const opacity = fogLevel.destinationOpacity * strength;
+
+    if (destinationFogLayer) {
+        destinationFogLayer.setStyle({ fillOpacity: opacity });
+        return;
+    }
+
+    const [lat, lng] = fogDestinationCenter;
+    destinationFogLayer = L.polygon(getCirclePoints(lat, lng, fogLevel.destinationRadius), {
+        stroke: false,
+        fillColor: FOG_CONFIG.color,
+        fillOpacity: opacity,
+        interactive: false
+    }).addTo(getMap());
+}
+
+/**
+ * Lift the fog with an animation, e.g. on arrival
+ * The clear circle widens while the fog fades, then the layers are removed.
+ * @param {number} lat - Traveler latitude
+ * @param {number} lng - Traveler longitude
+ */
+function clearFog(lat, lng) {
+    if (!fogLevel || !fogLayer || fogFrame !== null) {
+        removeFog();
+        return;
+    }
+
+    const start = performance.now();
+    const radius = fogLevel.radius;
+
+    const step = now => {
+        const progress = Math.min(1, (now - start) / FOG_CONFIG.clearDuration);
+        const strength = 1 - progress;
+
+        drawFog(lat, lng, radius * (1 + (FOG_CONFIG.clearGrowth - 1) * progress), strength);
+        if (destinationFogLayer) {
+            drawDestinationFog(strength);
+        }
+
+        if (progress < 1) {
+            fogFrame = requestAnimationFrame(step);
+        } else {
+            fogFrame = null;
+            removeFog();
+        }
+    };
+
+    fogFrame = requestAnimationFrame(step);
+}
+
+/**
+ * Take the fog off the map at once, e.g. when a trip ends
+ */
+function removeFog() {
+    if (fogFrame !== null) {
+        cancelAnimationFrame(fogFrame);
+        fogFrame = null;
+    }
+
+    [fogLayer, destinationFogLayer].forEach(layer => {
+        if (layer) getMap().removeLayer(layer);
+    });
+
+    fogLayer = null;
+    destinationFogLayer = null;
+    fogLevel = null;
+    fogDestination = null;
+    fogDestinationCenter = null;
+}
+
+/**
+ * Approximate a circle as polygon points
+ * @param {number} lat - Center latitude
+ * @param {number} lng - Center longitude
+ * @param {number} radius - Radius in meters
+ * @returns {Array} Array of [lat, lng] points
+ */
+function getCirclePoints(lat, lng, radius) {
+    const points = [];
+    for (let i = 0; i < FOG_CONFIG.circlePoints; i++) {
+        points.push(getDestinationPoint(lat, lng, i * 360 / FOG_CONFIG.circlePoints, radius));
+    }
+    return points;
+}
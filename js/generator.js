@@ -0,0 +1,142 @@
+/**
+ * Generator module for Vromp
+ * "Surprise me" mode: picks a nearby destination from the bundled POI
+ * dataset that can be reached within a time budget
+ */
+
+const GENERATOR_CONFIG = {
+    poiFile: 'data/pois.geojson',
+    categories: ['food', 'park', 'viewpoint'],
+    minDistance: 500, // meters - anything closer isn't much of a trip
+    maxCrowFliesSpeed: 25, // m/s - skip places too far to reach in time even in a straight line
+    targetCrowFliesSpeed: 10, // m/s - typical straight-line progress by road; places this far per budget second rank first
+    shortlistSize: 10, // best-ranked candidates the route checks are drawn from
+    maxRouteChecks: 5, // OSRM requests per generation
+    arrivalRadius: 75 // meters
+};
+
+// Cached POI features, loaded on first use
+let poiFeatures = null;
+
+/**
+ * Load the bundled POI dataset
+ * @returns {Promise<Array>} GeoJSON point features
+ */
+async function loadPois() {
+    if (poiFeatures) return poiFeatures;
+
+    const response = await fetch(GENERATOR_CONFIG.poiFile);
+    if (!response.ok) {
+        throw new Error(`POI file error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    poiFeatures = (data.features || []).filter(feature =>
+        feature.geometry && feature.geometry.type === 'Point' &&
+        feature.properties && feature.properties.name
+    );
+
+    return poiFeatures;
+}
+
+/**
+ * Generate a single-stop surprise trip
+ * @param {Object} position - Current position {lat, lng}
+ * @param {number} budgetMinutes - Maximum drive time
+ * @param {string} category - POI category (food, park, viewpoint)
+ * @returns {Promise<Object>} Trip object in the same format as trip files
+ */
+async function generateSurpriseTrip(position, budgetMinutes, category) {
+    const budgetSeconds = budgetMinutes * 60;
+    const maxDistance = budgetSeconds * GENERATOR_CONFIG.maxCrowFliesSpeed;
+
+    const candidates = (await loadPois())
+        .filter(feature => feature.properties.category === category)
+        .map(feature => {
+            const [lng, lat] = feature.geometry.coordinates;
+            return {
+                feature: feature,
+                coordinates: { lat, lng },
+                distance: getDistanceMeters(position.lat, position.lng, lat, lng)
+            };
+        })
+        .filter(candidate =>
+            candidate.distance >= GENERATOR_CONFIG.minDistance &&
+            candidate.distance <= maxDistance
+        );
+
+    console.log(`Surprise: ${candidates.length} ${category} candidates within ${formatDistance(maxDistance)}`);
+
+    // Places about as far as the budget usually reaches are the likeliest fits;
+    // check a random handful of those so repeat runs don't always land on the same place
+    const targetDistance = budgetSeconds * GENERATOR_CONFIG.targetCrowFliesSpeed;
+    candidates.sort((a, b) => Math.abs(a.distance - targetDistance) - Math.abs(b.distance - targetDistance));
+    const shortlist = candidates.slice(0, GENERATOR_CONFIG.shortlistSize);
+    shuffleArray(shortlist);
+
+    const fits = [];
+    for (const candidate of shortlist.slice(0, GENERATOR_CONFIG.maxRouteChecks)) {
+        try {
+            const route = await fetchRoute([position, candidate.coordinates]);
+            if (route.duration <= budgetSeconds) {
+                fits.push({ ...candidate, duration: route.duration });
+            }
+        } catch (error) {
+            // The other candidates would fail the same way
+            if (error.kind === ROUTE_ERRORS.offline) {
+                throw new Error(t('surprise.offline'));
+            }
+            if (error.kind === ROUTE_ERRORS.rateLimited) {
+                throw new Error(t('surprise.rateLimited'));
+            }
+            console.warn('Surprise route check failed:', error.message);
+        }
+    }
+
+    if (fits.length === 0) {
+        throw new Error(t('surprise.notFound', {
+            category: t(`surprise.${category}`).toLowerCase(),
+            minutes: budgetMinutes
+        }));
+    }
+
+    const pick = fits[Math.floor(Math.random() * fits.length)];
+    return buildSurpriseTrip(pick);
+}
+
+/**
+ * Turn a chosen POI into a single-stop trip
+ * @param {Object} pick - Chosen candidate {feature, coordinates, duration}
+ * @returns {Object} Trip object
+ */
+function buildSurpriseTrip(pick) {
+    const props = pick.feature.properties;
+
+    return {
+        title: t('surprise.title'),
+        teaser: t('surprise.teaser', { duration: formatDuration(pick.duration) }),
+        profile: 'driving',
+        estimatedMinutes: Math.max(1, Math.round(pick.duration / 60)),
+        stops: [
+            {
+                id: 'surprise',
+                name: props.name,
+                coordinates: pick.coordinates,
+                description: props.description || t('surprise.description'),
+                arrivalRadius: GENERATOR_CONFIG.arrivalRadius,
+                isFinal: true
+            }
+        ]
+    };
+}
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} items
+ */
+function shuffleArray(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+}
@@ -0,0 +1,849 @@
+/**
+ * Localization module for Vromp
+ * Holds the translated text for every screen and spoken instruction, and the
+ * traveler's unit system (imperial or metric)
+ *
+ * The locale comes from the trip's "locale" field when it has one, otherwise
+ * from the browser. Static text in index.html is marked with data-i18n
+ * attributes and filled in by translatePage().
+ */
+
+const I18N_CONFIG = {
+    defaultLocale: 'en',
+    unitsStorageKey: 'vromp.units',
+    // Regions that measure road distances in miles; everywhere else is metric
+    imperialRegions: ['US', 'GB', 'LR', 'MM']
+};
+
+// Translation bundles, keyed by language. Missing keys fall back to English.
+// {name} placeholders are filled in by t().
+const I18N_BUNDLES = {
+    en: {
+        // Start screen
+        'start.title': 'Ready for an adventure?',
+        'start.button': 'Start Mystery Trip',
+        'start.author': 'Create a trip',
+        'start.units': 'Switch units',
+        'theme.auto': 'Day and night map: automatic',
+        'theme.day': 'Day and night map: always day',
+        'theme.night': 'Day and night map: always night',
+        'library.pick': 'Pick a trip to begin',
+        'library.untitled': 'Mystery trip',
+        'library.done': '✓ Done',
+        'library.stop': '1 stop',
+        'library.stops': '{count} stops',
+        'library.loadFailed': 'Could not load the list of trips. Please check your connection and try again.',
+        'profile.driving': 'Drive',
+        'profile.walking': 'Walk',
+        'profile.cycling': 'Ride',
+        'offline.download': 'Download for offline',
+        'offline.downloadAgain': 'Download again',
+        'offline.available': '✓ Available offline',
+        'offline.downloadRoute': 'Download route for offline',
+        'offline.routeAvailable': '✓ Route available offline (the map still needs signal)',
+        'offline.availableMissing': '✓ Available offline ({count} map tiles missing)',
+        'offline.downloadingRoute': 'Downloading route...',
+        'offline.downloadingMap': 'Downloading map... {percent}%',
+        'offline.failed': 'Download failed. Please check your connection and try again.',
+        'offline.notReady': 'Offline storage is not ready yet. Please try again in a moment.',
+        'surprise.label': 'Or go somewhere new',
+        'surprise.food': 'Food',
+        'surprise.park': 'Park',
+        'surprise.viewpoint': 'Viewpoint',
+        'surprise.within': 'within {minutes} min',
+        'surprise.button': 'Surprise me',
+        'surprise.finding': 'Finding somewhere new...',
+        'surprise.notFound': 'Couldn\'t find a {category} spot within {minutes} minutes. Try a bigger time budget or another category.',
+        'surprise.offline': 'No signal. Connect to the internet to find a surprise trip.',
+        'surprise.rateLimited': 'The route server is busy. Please try again in a minute.',
+        'surprise.title': 'Surprise trip',
+        'surprise.teaser': '~{duration} drive',
+        'surprise.description': 'Enjoy your surprise!',
+        'location.waiting': 'Waiting for your location...',
+
+        // Navigation screen
+        'nav.waiting': 'Waiting for location...',
+        'nav.calculating': 'Calculating route...',
+        'nav.recalculating': 'Recalculating...',
+        'nav.backToRoute': 'Head back to the route',
+        'nav.leg': 'Leg {number} of {count}',
+        'nav.recenter': 'Recenter',
+        'voice.mute': 'Mute voice guidance',
+        'voice.unmute': 'Unmute voice guidance',
+        'banner.offlineDownloaded': 'No signal. Following your downloaded route.',
+        'banner.offline': 'No signal. Directions will load when you\'re back online.',
+        'banner.rateLimited': 'The route server is busy. Trying again shortly...',
+        'banner.noRoute': 'Couldn\'t find a route from here. Trying again shortly...',
+        'banner.server': 'The route server had a problem. Trying again shortly...',
+
+        // Stop and arrival screens
+        'stop.welcome': 'Welcome to Stop {number}',
+        'stop.recommend': 'We recommend: {recommendation}',
+        'stop.instruction': 'When you are ready to continue on your journey, tap Continue below.',
+        'stop.continue': 'Continue',
+        'arrival.label': 'You\'ve arrived at...',
+        'arrival.fallback': 'You made it!',
+        'arrival.done': 'Done',
+
+        // Errors
+        'error.retry': 'Try Again',
+        'error.locationRequired': 'Location Required',
+        'error.locationDefault': 'Vromp needs your location to guide you. Please enable location access and try again.',
+        'error.locationDenied': 'Vromp needs your location to guide you. Please enable location access in your browser settings.',
+        'error.locationIos': 'Please allow location access. On iOS: Settings → Safari → Location → Allow. Then reload this page.',
+        'error.locationMissing': 'Could not get your location. Please enable location services and try again.',
+        'error.geolocationUnsupported': 'Geolocation Not Supported',
+        'error.geolocationUnsupportedMessage': 'Your browser does not support geolocation.',
+        'error.location': 'Location Error',
+        'error.locationMessage': 'An error occurred while getting your location.',
+        'error.locationUnavailable': 'Location Unavailable',
+        'error.locationUnavailableMessage': 'Your location could not be determined. Please check your GPS signal.',
+        'error.locationTimeout': 'Location Timeout',
+        'error.locationTimeoutMessage': 'Getting your location took too long. Please try again.',
+        'error.tripUnavailable': 'Trip Unavailable',
+        'error.tripsUnavailable': 'Trips Unavailable',
+        'error.noTrips': 'No Trips Yet',
+        'error.noTripsMessage': 'There are no trips to choose from right now. Please check back soon.',
+        'error.invalidTrip': 'Invalid Trip',
+        'error.sharedTrip': 'The shared trip',
+        'error.namedTrip': 'The trip "{id}"',
+        'error.tripProblem': '{trip} has 1 problem:',
+        'error.tripProblems': '{trip} has {count} problems:',
+        'error.noRoute': 'No Route Found',
+        'error.noRouteMessage': 'We couldn\'t find a way to your next stop from here. Try heading to a nearby road, then tap Try Again.',
+        'error.routeRequest': 'Route Settings Not Supported',
+        'error.routeRequestMessage': 'The route server can\'t plan this trip with its routing preferences. Ask the trip\'s author to change them.',
+        'trip.downloadFailed': 'Could not download the trip. Please check your connection and try again.',
+        'trip.notFound': 'There is no trip called "{id}".',
+        'trip.invalidId': '"{id}" is not a valid trip name.',
+        'trip.downloadError': 'Could not download the trip (error {status}).',
+        'trip.invalidJson': 'The trip file for "{id}" is not valid JSON.',
+        'share.otherVersion': 'This share link was made by a different version of Vromp.',
+        'share.damaged': 'This share link is damaged or incomplete. Ask for the link again.',
+
+        // Trip file problems, listed under error.tripProblems
+        'schema.trip': 'The trip',
+        'schema.stop': 'Stop {number}',
+        'schema.notObject': 'The trip must be a JSON object.',
+        'schema.text': '{label} "{field}" must be text.',
+        'schema.oneOf': '{label} "{field}" must be one of: {values}.',
+        'schema.locale': '{label} "locale" must be a language tag such as "en-US" or "es-MX".',
+        'schema.positive': '{label} "{field}" must be a number greater than 0.',
+        'schema.noStops': '"stops" must be a list with at least one stop.',
+        'schema.needsSecret': 'Sealed stops need the trip\'s "secret" to be set.',
+        'schema.stopNotObject': '{label} must be an object.',
+        'schema.missing': '{label} is missing "{field}".',
+        'schema.duplicateId': '{label} reuses the id "{id}".',
+        'schema.radius': '{label} needs a numeric "arrivalRadius" in meters.',
+        'schema.isFinal': '{label} needs "isFinal" set to true or false.',
+        'schema.finalNotLast': '{label} is marked final but is not the last stop.',
+        'schema.needsDescription': '{label} is the final stop and needs a "description".',
+        'schema.needsRecommendation': '{label} is an intermediate stop and needs a "recommendation".',
+        'schema.finalCount': 'Exactly one stop must have "isFinal": true (found {count}).',
+        'schema.coordinates': '{label} is missing "coordinates" ({"lat": ..., "lng": ...}).',
+        'schema.range': '{label} "{field}" must be a number between {min} and {max}.',
+        'schema.routing': '{label} "routing" must be an object ({"avoid": [...], "scenic": true}).',
+        'schema.avoid': '{label} "routing.avoid" must be a list of: {values}.',
+        'schema.boolean': '{label} "{field}" must be true or false.',
+        'schema.sealed': '{label} "sealed" must have "iv" and "data" text.',
+        'schema.sealedReadable': '{label} is sealed but also has a readable "{field}".',
+        'schema.sealedRadius': '{label} is sealed, so its "arrivalRadius" can be at most {max} m here.',
+
+        // Trip authoring
+        'author.teaser': 'Teaser, e.g. ~25 min adventure • 3 stops',
+        'author.seal': 'Seal stop names and text until arrival',
+        'author.hint': 'Tap the map to drop your first stop.',
+        'author.stopName': 'Stop name (revealed on arrival)',
+        'author.recommendation': 'Recommendation (intermediate stops)',
+        'author.description': 'Description (final stop)',
+        'author.radius': 'Arrival radius',
+        'author.delete': 'Delete stop',
+        'author.exit': 'Exit',
+        'author.preview': 'Preview route',
+        'author.share': 'Share',
+        'author.export': 'Export',
+        'author.untitled': 'Untitled stop',
+        'author.final': '(final)',
+        'author.sealed': 'This trip is sealed and can no longer be edited. Start a new one from its original stops.',
+        'author.needTwoStops': 'Add at least two stops to preview the route.',
+        'author.previewResult': 'Route between stops: {distance}, {duration} of travel.',
+        'author.previewFailed': 'Could not preview the route. Please check your connection and try again.',
+        'author.badId': 'Trip names may only use lowercase letters, numbers and dashes.',
+        'author.saved': 'Saved {id}.json. Put it in the trips/ folder and open ?trip={id}.',
+        'author.noShare': 'This browser cannot create share links. Try a recent Chrome or Safari.',
+        'author.shareTitle': 'A Vromp mystery trip',
+        'author.shared': 'Shared! The link below opens the trip.',
+        'author.copied': 'Link copied. Anyone who opens it can run this trip.',
+        'author.copy': 'Copy this link to share the trip:',
+
+        // Durations
+        'duration.minutes': '{minutes} min',
+        'duration.hours': '{hours}h {minutes}m',
+
+        // Turn instructions
+        'turn.left': 'Turn left',
+        'turn.right': 'Turn right',
+        'turn.sharpLeft': 'Make a sharp left',
+        'turn.sharpRight': 'Make a sharp right',
+        'turn.slightLeft': 'Bear left',
+        'turn.slightRight': 'Bear right',
+        'turn.straight': 'Go straight',
+        'turn.uturn': 'Make a U-turn',
+        'road.onto': '{instruction} onto {road}',
+        'road.on': '{instruction} on {road}',
+        'road.stayOn': '{instruction} to stay on {road}',
+        'road.toward': '{instruction} toward {places}',
+        'road.unnamed': 'the road',
+        'instr.depart': 'Head out',
+        'instr.arrive': 'Arrive at your destination',
+        'instr.arriveLeft': 'Your destination is on the left',
+        'instr.arriveRight': 'Your destination is on the right',
+        'instr.continue': 'Continue',
+        'instr.keepLeft': 'Keep left',
+        'instr.keepRight': 'Keep right',
+        'instr.merge': 'Merge',
+        'instr.mergeLeft': 'Merge left',
+        'instr.mergeRight': 'Merge right',
+        'instr.ramp': 'Take the ramp',
+        'instr.rampLeft': 'Take the ramp on the left',
+        'instr.rampRight': 'Take the ramp on the right',
+        'instr.exitNumber': 'Take exit {exit}',
+        'instr.exit': 'Take the exit',
+        'instr.exitLeft': 'Take the exit on the left',
+        'instr.exitRight': 'Take the exit on the right',
+        'instr.forkLeft': 'Keep left at the fork',
+        'instr.forkRight': 'Keep right at the fork',
+        'instr.forkStraight': 'Keep straight at the fork',
+        'instr.endOfRoadLeft': 'At the end of the road, turn left',
+        'instr.endOfRoadRight': 'At the end of the road, turn right',
+        'instr.roundaboutExit': 'Take the {ordinal} exit at the roundabout',
+        'instr.roundaboutEnter': 'Enter the roundabout and exit',
+        'instr.rotaryExit': 'Take the {ordinal} exit at {place}',
+        'instr.rotaryEnter': 'Enter {place} and exit',
+        'instr.roundaboutTurn': 'At the roundabout, {turn}',
+        'instr.exitRoundabout': 'Exit the roundabout',
+        'instr.then': 'Then {instruction}',
+        'continue.driving': 'Continue on {road} for {distance}',
+        'continue.walking': 'Keep walking on {road} for {distance}',
+        'continue.cycling': 'Keep riding on {road} for {distance}',
+
+        // Spoken guidance
+        'voice.in': 'In {distance}, {instruction}',
+        'voice.recalculating': 'Recalculating',
+        'voice.arrivedAt': 'You have arrived at {name}',
+        'voice.arrived': 'You have arrived',
+        'spoken.feet': '{count} feet',
+        'spoken.quarterMile': 'a quarter mile',
+        'spoken.halfMile': 'half a mile',
+        'spoken.threeQuarterMile': 'three quarters of a mile',
+        'spoken.mile': '1 mile',
+        'spoken.miles': '{count} miles',
+        'spoken.meters': '{count} meters',
+        'spoken.kilometer': '1 kilometer',
+        'spoken.kilometers': '{count} kilometers'
+    },
+
+    es: {
+        'start.title': '¿Listo para una aventura?',
+        'start.button': 'Iniciar viaje misterioso',
+        'start.author': 'Crear un viaje',
+        'start.units': 'Cambiar unidades',
+        'theme.auto': 'Mapa de día y de noche: automático',
+        'theme.day': 'Mapa de día y de noche: siempre de día',
+        'theme.night': 'Mapa de día y de noche: siempre de noche',
+        'library.pick': 'Elige un viaje para empezar',
+        'library.untitled': 'Viaje misterioso',
+        'library.done': '✓ Hecho',
+        'library.stop': '1 parada',
+        'library.stops': '{count} paradas',
+        'library.loadFailed': 'No se pudo cargar la lista de viajes. Revisa tu conexión e inténtalo de nuevo.',
+        'profile.driving': 'En auto',
+        'profile.walking': 'A pie',
+        'profile.cycling': 'En bici',
+        'offline.download': 'Descargar para usar sin conexión',
+        'offline.downloadAgain': 'Descargar de nuevo',
+        'offline.available': '✓ Disponible sin conexión',
+        'offline.downloadRoute': 'Descargar la ruta para usar sin conexión',
+        'offline.routeAvailable': '✓ Ruta disponible sin conexión (el mapa sigue necesitando señal)',
+        'offline.availableMissing': '✓ Disponible sin conexión (faltan {count} mosaicos del mapa)',
+        'offline.downloadingRoute': 'Descargando la ruta...',
+        'offline.downloadingMap': 'Descargando el mapa... {percent} %',
+        'offline.failed': 'La descarga falló. Revisa tu conexión e inténtalo de nuevo.',
+        'offline.notReady': 'El almacenamiento sin conexión aún no está listo. Inténtalo de nuevo en un momento.',
+        'surprise.label': 'O ve a un lugar nuevo',
+        'surprise.food': 'Comida',
+        'surprise.park': 'Parque',
+        'surprise.viewpoint': 'Mirador',
+        'surprise.within': 'a menos de {minutes} min',
+        'surprise.button': 'Sorpréndeme',
+        'surprise.finding': 'Buscando un lugar nuevo...',
+        'surprise.notFound': 'No encontramos ningún lugar de tipo {category} a menos de {minutes} minutos. Prueba con más tiempo u otra categoría.',
+        'surprise.offline': 'Sin señal. Conéctate a internet para buscar un viaje sorpresa.',
+        'surprise.rateLimited': 'El servidor de rutas está ocupado. Inténtalo de nuevo en un minuto.',
+        'surprise.title': 'Viaje sorpresa',
+        'surprise.teaser': '~{duration} en auto',
+        'surprise.description': '¡Disfruta tu sorpresa!',
+        'location.waiting': 'Esperando tu ubicación...',
+
+        'nav.waiting': 'Esperando la ubicación...',
+        'nav.calculating': 'Calculando la ruta...',
+        'nav.recalculating': 'Recalculando...',
+        'nav.backToRoute': 'Regresa a la ruta',
+        'nav.leg': 'Tramo {number} de {count}',
+        'nav.recenter': 'Centrar',
+        'voice.mute': 'Silenciar la guía por voz',
+        'voice.unmute': 'Activar la guía por voz',
+        'banner.offlineDownloaded': 'Sin señal. Siguiendo la ruta descargada.',
+        'banner.offline': 'Sin señal. Las indicaciones se cargarán cuando vuelvas a tener conexión.',
+        'banner.rateLimited': 'El servidor de rutas está ocupado. Reintentando en breve...',
+        'banner.noRoute': 'No se encontró una ruta desde aquí. Reintentando en breve...',
+        'banner.server': 'El servidor de rutas tuvo un problema. Reintentando en breve...',
+
+        'stop.welcome': 'Bienvenido a la parada {number}',
+        'stop.recommend': 'Te recomendamos: {recommendation}',
+        'stop.instruction': 'Cuando estés listo para seguir tu viaje, toca Continuar.',
+        'stop.continue': 'Continuar',
+        'arrival.label': 'Has llegado a...',
+        'arrival.fallback': '¡Lo lograste!',
+        'arrival.done': 'Listo',
+
+        'error.retry': 'Intentar de nuevo',
+        'error.locationRequired': 'Se necesita tu ubicación',
+        'error.locationDefault': 'Vromp necesita tu ubicación para guiarte. Activa el acceso a la ubicación e inténtalo de nuevo.',
+        'error.locationDenied': 'Vromp necesita tu ubicación para guiarte. Activa el acceso a la ubicación en la configuración del navegador.',
+        'error.locationIos': 'Permite el acceso a la ubicación. En iOS: Ajustes → Safari → Ubicación → Permitir. Luego recarga esta página.',
+        'error.locationMissing': 'No se pudo obtener tu ubicación. Activa los servicios de ubicación e inténtalo de nuevo.',
+        'error.geolocationUnsupported': 'Geolocalización no disponible',
+        'error.geolocationUnsupportedMessage': 'Tu navegador no admite la geolocalización.',
+        'error.location': 'Error de ubicación',
+        'error.locationMessage': 'Ocurrió un error al obtener tu ubicación.',
+        'error.locationUnavailable': 'Ubicación no disponible',
+        'error.locationUnavailableMessage': 'No se pudo determinar tu ubicación. Revisa la señal GPS.',
+        'error.locationTimeout': 'Tiempo de espera agotado',
+        'error.locationTimeoutMessage': 'Obtener tu ubicación tardó demasiado. Inténtalo de nuevo.',
+        'error.tripUnavailable': 'Viaje no disponible',
+        'error.tripsUnavailable': 'Viajes no disponibles',
+        'error.noTrips': 'Aún no hay viajes',
+        'error.noTripsMessage': 'Por ahora no hay viajes para elegir. Vuelve pronto.',
+        'error.invalidTrip': 'Viaje no válido',
+        'error.sharedTrip': 'El viaje compartido',
+        'error.namedTrip': 'El viaje "{id}"',
+        'error.tripProblem': '{trip} tiene 1 problema:',
+        'error.tripProblems': '{trip} tiene {count} problemas:',
+        'error.noRoute': 'No se encontró una ruta',
+        'error.noRouteMessage': 'No encontramos cómo llegar a tu próxima parada desde aquí. Dirígete a una calle cercana y toca Intentar de nuevo.',
+        'error.routeRequest': 'Preferencias de ruta no compatibles',
+        'error.routeRequestMessage': 'El servidor de rutas no puede planear este viaje con sus preferencias de ruta. Pide a quien creó el viaje que las cambie.',
+        'trip.downloadFailed': 'No se pudo descargar el viaje. Revisa tu conexión e inténtalo de nuevo.',
+        'trip.notFound': 'No existe ningún viaje llamado "{id}".',
+        'trip.invalidId': '"{id}" no es un nombre de viaje válido.',
+        'trip.downloadError': 'No se pudo descargar el viaje (error {status}).',
+        'trip.invalidJson': 'El archivo del viaje "{id}" no es JSON válido.',
+        'share.otherVersion': 'Este enlace se creó con otra versión de Vromp.',
+        'share.damaged': 'Este enlace está dañado o incompleto. Pide el enlace de nuevo.',
+
+        'schema.trip': 'El viaje',
+        'schema.stop': 'Parada {number}',
+        'schema.notObject': 'El viaje debe ser un objeto JSON.',
+        'schema.text': '{label}: "{field}" debe ser texto.',
+        'schema.oneOf': '{label}: "{field}" debe ser uno de: {values}.',
+        'schema.locale': '{label}: "locale" debe ser una etiqueta de idioma como "en-US" o "es-MX".',
+        'schema.positive': '{label}: "{field}" debe ser un número mayor que 0.',
+        'schema.noStops': '"stops" debe ser una lista con al menos una parada.',
+        'schema.needsSecret': 'Las paradas selladas necesitan que el viaje tenga "secret".',
+        'schema.stopNotObject': '{label} debe ser un objeto.',
+        'schema.missing': '{label}: falta "{field}".',
+        'schema.duplicateId': '{label} repite el id "{id}".',
+        'schema.radius': '{label} necesita un "arrivalRadius" numérico en metros.',
+        'schema.isFinal': '{label} necesita "isFinal" con valor true o false.',
+        'schema.finalNotLast': '{label} está marcada como final pero no es la última parada.',
+        'schema.needsDescription': '{label} es la parada final y necesita una "description".',
+        'schema.needsRecommendation': '{label} es una parada intermedia y necesita una "recommendation".',
+        'schema.finalCount': 'Exactamente una parada debe tener "isFinal": true (hay {count}).',
+        'schema.coordinates': '{label}: falta "coordinates" ({"lat": ..., "lng": ...}).',
+        'schema.range': '{label}: "{field}" debe ser un número entre {min} y {max}.',
+        'schema.routing': '{label}: "routing" debe ser un objeto ({"avoid": [...], "scenic": true}).',
+        'schema.avoid': '{label}: "routing.avoid" debe ser una lista de: {values}.',
+        'schema.boolean': '{label}: "{field}" debe ser true o false.',
+        'schema.sealed': '{label}: "sealed" debe tener los textos "iv" y "data".',
+        'schema.sealedReadable': '{label} está sellada pero también tiene "{field}" legible.',
+        'schema.sealedRadius': '{label} está sellada, así que su "arrivalRadius" no puede pasar de {max} m aquí.',
+
+        'author.teaser': 'Adelanto, p. ej. aventura de ~25 min • 3 paradas',
+        'author.seal': 'Ocultar los nombres y textos de las paradas hasta llegar',
+        'author.hint': 'Toca el mapa para poner tu primera parada.',
+        'author.stopName': 'Nombre de la parada (se revela al llegar)',
+        'author.recommendation': 'Recomendación (paradas intermedias)',
+        'author.description': 'Descripción (parada final)',
+        'author.radius': 'Radio de llegada',
+        'author.delete': 'Eliminar parada',
+        'author.exit': 'Salir',
+        'author.preview': 'Ver ruta',
+        'author.share': 'Compartir',
+        'author.export': 'Exportar',
+        'author.untitled': 'Parada sin nombre',
+        'author.final': '(final)',
+        'author.sealed': 'Este viaje está sellado y ya no se puede editar. Crea uno nuevo a partir de sus paradas originales.',
+        'author.needTwoStops': 'Agrega al menos dos paradas para ver la ruta.',
+        'author.previewResult': 'Ruta entre paradas: {distance}, {duration} de viaje.',
+        'author.previewFailed': 'No se pudo mostrar la ruta. Revisa tu conexión e inténtalo de nuevo.',
+        'author.badId': 'El nombre del viaje solo puede tener minúsculas, números y guiones.',
+        'author.saved': 'Se guardó {id}.json. Ponlo en la carpeta trips/ y abre ?trip={id}.',
+        'author.noShare': 'Este navegador no puede crear enlaces para compartir. Prueba con una versión reciente de Chrome o Safari.',
+        'author.shareTitle': 'Un viaje misterioso de Vromp',
+        'author.shared': '¡Compartido! El enlace de abajo abre el viaje.',
+        'author.copied': 'Enlace copiado. Cualquiera que lo abra puede hacer este viaje.',
+        'author.copy': 'Copia este enlace para compartir el viaje:',
+
+        'duration.minutes': '{minutes} min',
+        'duration.hours': '{hours} h {minutes} min',
+
+        'turn.left': 'Gira a la izquierda',
+        'turn.right': 'Gira a la derecha',
+        'turn.sharpLeft': 'Gira bruscamente a la izquierda',
+        'turn.sharpRight': 'Gira bruscamente a la derecha',
+        'turn.slightLeft': 'Gira ligeramente a la izquierda',
+        'turn.slightRight': 'Gira ligeramente a la derecha',
+        'turn.straight': 'Sigue derecho',
+        'turn.uturn': 'Da vuelta en U',
+        'road.onto': '{instruction} hacia {road}',
+        'road.on': '{instruction} por {road}',
+        'road.stayOn': '{instruction} para seguir por {road}',
+        'road.toward': '{instruction} en dirección a {places}',
+        'road.unnamed': 'el camino',
+        'instr.depart': 'Sal',
+        'instr.arrive': 'Llega a tu destino',
+        'instr.arriveLeft': 'Tu destino está a la izquierda',
+        'instr.arriveRight': 'Tu destino está a la derecha',
+        'instr.continue': 'Continúa',
+        'instr.keepLeft': 'Mantente a la izquierda',
+        'instr.keepRight': 'Mantente a la derecha',
+        'instr.merge': 'Incorpórate',
+        'instr.mergeLeft': 'Incorpórate por la izquierda',
+        'instr.mergeRight': 'Incorpórate por la derecha',
+        'instr.ramp': 'Toma la rampa',
+        'instr.rampLeft': 'Toma la rampa de la izquierda',
+        'instr.rampRight': 'Toma la rampa de la derecha',
+        'instr.exitNumber': 'Toma la salida {exit}',
+        'instr.exit': 'Toma la salida',
+        'instr.exitLeft': 'Toma la salida de la izquierda',
+        'instr.exitRight': 'Toma la salida de la derecha',
+        'instr.forkLeft': 'En la bifurcación, mantente a la izquierda',
+        'instr.forkRight': 'En la bifurcación, mantente a la derecha',
+        'instr.forkStraight': 'En la bifurcación, sigue derecho',
+        'instr.endOfRoadLeft': 'Al final del camino, gira a la izquierda',
+        'instr.endOfRoadRight': 'Al final del camino, gira a la derecha',
+        'instr.roundaboutExit': 'Toma la {ordinal} salida en la glorieta',
+        'instr.roundaboutEnter': 'Entra en la glorieta y sal',
+        'instr.rotaryExit': 'Toma la {ordinal} salida en {place}',
+        'instr.rotaryEnter': 'Entra en {place} y sal',
+        'instr.roundaboutTurn': 'En la glorieta, {turn}',
+        'instr.exitRoundabout': 'Sal de la glorieta',
+        'instr.then': 'Luego, {instruction}',
+        'continue.driving': 'Continúa por {road} durante {distance}',
+        'continue.walking': 'Sigue caminando por {road} durante {distance}',
+        'continue.cycling': 'Sigue pedaleando por {road} durante {distance}',
+
+        'voice.in': 'En {distance}, {instruction}',
+        'voice.recalculating': 'Recalculando',
+        'voice.arrivedAt': 'Has llegado a {name}',
+        'voice.arrived': 'Has llegado',
+        'spoken.feet': '{count} pies',
+        'spoken.quarterMile': 'un cuarto de milla',
+        'spoken.halfMile': 'media milla',
+        'spoken.threeQuarterMile': 'tres cuartos de milla',
+        'spoken.mile': '1 milla',
+        'spoken.miles': '{count} millas',
+        'spoken.meters': '{count} metros',
+        'spoken.kilometer': '1 kilómetro',
+        'spoken.kilometers': '{count} kilómetros'
+    },
+
+    fr: {
+        'start.title': 'Prêt pour l\'aventure ?',
+        'start.button': 'Commencer le voyage mystère',
+        'start.author': 'Créer un voyage',
+        'start.units': 'Changer d\'unités',
+        'theme.auto': 'Carte de jour et de nuit : automatique',
+        'theme.day': 'Carte de jour et de nuit : toujours de jour',
+        'theme.night': 'Carte de jour et de nuit : toujours de nuit',
+        'library.pick': 'Choisissez un voyage pour commencer',
+        'library.untitled': 'Voyage mystère',
+        'library.done': '✓ Terminé',
+        'library.stop': '1 arrêt',
+        'library.stops': '{count} arrêts',
+        'library.loadFailed': 'Impossible de charger la liste des voyages. Vérifiez votre connexion et réessayez.',
+        'profile.driving': 'En voiture',
+        'profile.walking': 'À pied',
+        'profile.cycling': 'À vélo',
+        'offline.download': 'Télécharger pour le mode hors ligne',
+        'offline.downloadAgain': 'Télécharger à nouveau',
+        'offline.available': '✓ Disponible hors ligne',
+        'offline.downloadRoute': 'Télécharger l\'itinéraire pour le mode hors ligne',
+        'offline.routeAvailable': '✓ Itinéraire disponible hors ligne (la carte a toujours besoin de réseau)',
+        'offline.availableMissing': '✓ Disponible hors ligne ({count} tuiles de carte manquantes)',
+        'offline.downloadingRoute': 'Téléchargement de l\'itinéraire...',
+        'offline.downloadingMap': 'Téléchargement de la carte... {percent} %',
+        'offline.failed': 'Le téléchargement a échoué. Vérifiez votre connexion et réessayez.',
+        'offline.notReady': 'Le stockage hors ligne n\'est pas encore prêt. Réessayez dans un instant.',
+        'surprise.label': 'Ou partez vers un nouvel endroit',
+        'surprise.food': 'Restaurant',
+        'surprise.park': 'Parc',
+        'surprise.viewpoint': 'Point de vue',
+        'surprise.within': 'à moins de {minutes} min',
+        'surprise.button': 'Surprenez-moi',
+        'surprise.finding': 'Recherche d\'un nouvel endroit...',
+        'surprise.notFound': 'Aucun lieu de type {category} à moins de {minutes} minutes. Essayez plus de temps ou une autre catégorie.',
+        'surprise.offline': 'Pas de réseau. Connectez-vous à Internet pour trouver un voyage surprise.',
+        'surprise.rateLimited': 'Le serveur d\'itinéraires est occupé. Réessayez dans une minute.',
+        'surprise.title': 'Voyage surprise',
+        'surprise.teaser': '~{duration} en voiture',
+        'surprise.description': 'Profitez de votre surprise !',
+        'location.waiting': 'En attente de votre position...',
+
+        'nav.waiting': 'En attente de la position...',
+        'nav.calculating': 'Calcul de l\'itinéraire...',
+        'nav.recalculating': 'Recalcul en cours...',
+        'nav.backToRoute': 'Retournez sur l\'itinéraire',
+        'nav.leg': 'Étape {number} sur {count}',
+        'nav.recenter': 'Recentrer',
+        'voice.mute': 'Couper le guidage vocal',
+        'voice.unmute': 'Activer le guidage vocal',
+        'banner.offlineDownloaded': 'Pas de signal. Suivi de l\'itinéraire téléchargé.',
+        'banner.offline': 'Pas de signal. Les indications se chargeront au retour du réseau.',
+        'banner.rateLimited': 'Le serveur d\'itinéraires est occupé. Nouvel essai sous peu...',
+        'banner.noRoute': 'Aucun itinéraire trouvé d\'ici. Nouvel essai sous peu...',
+        'banner.server': 'Le serveur d\'itinéraires a rencontré un problème. Nouvel essai sous peu...',
+
+        'stop.welcome': 'Bienvenue à l\'arrêt {number}',
+        'stop.recommend': 'Nous recommandons : {recommendation}',
+        'stop.instruction': 'Quand vous êtes prêt à reprendre la route, touchez Continuer ci-dessous.',
+        'stop.continue': 'Continuer',
+        'arrival.label': 'Vous êtes arrivé à...',
+        'arrival.fallback': 'Vous y êtes !',
+        'arrival.done': 'Terminé',
+
+        'error.retry': 'Réessayer',
+        'error.locationRequired': 'Position requise',
+        'error.locationDefault': 'Vromp a besoin de votre position pour vous guider. Autorisez l\'accès à la position et réessayez.',
+        'error.locationDenied': 'Vromp a besoin de votre position pour vous guider. Autorisez l\'accès à la position dans les réglages du navigateur.',
+        'error.locationIos': 'Autorisez l\'accès à la position. Sur iOS : Réglages → Safari → Position → Autoriser. Puis rechargez cette page.',
+        'error.locationMissing': 'Impossible d\'obtenir votre position. Activez le service de localisation et réessayez.',
+        'error.geolocationUnsupported': 'Géolocalisation non prise en charge',
+        'error.geolocationUnsupportedMessage': 'Votre navigateur ne prend pas en charge la géolocalisation.',
+        'error.location': 'Erreur de position',
+        'error.locationMessage': 'Une erreur est survenue lors de la récupération de votre position.',
+        'error.locationUnavailable': 'Position indisponible',
+        'error.locationUnavailableMessage': 'Votre position n\'a pas pu être déterminée. Vérifiez le signal GPS.',
+        'error.locationTimeout': 'Délai dépassé',
+        'error.locationTimeoutMessage': 'La récupération de votre position a pris trop de temps. Réessayez.',
+        'error.tripUnavailable': 'Voyage indisponible',
+        'error.tripsUnavailable': 'Voyages indisponibles',
+        'error.noTrips': 'Aucun voyage pour l\'instant',
+        'error.noTripsMessage': 'Aucun voyage n\'est proposé pour le moment. Revenez bientôt.',
+        'error.invalidTrip': 'Voyage invalide',
+        'error.sharedTrip': 'Le voyage partagé',
+        'error.namedTrip': 'Le voyage « {id} »',
+        'error.tripProblem': '{trip} comporte 1 problème :',
+        'error.tripProblems': '{trip} comporte {count} problèmes :',
+        'error.noRoute': 'Aucun itinéraire trouvé',
+        'error.noRouteMessage': 'Impossible de trouver un chemin vers votre prochain arrêt depuis ici. Rejoignez une route proche, puis touchez Réessayer.',
+        'error.routeRequest': 'Préférences d\'itinéraire non prises en charge',
+        'error.routeRequestMessage': 'Le serveur d\'itinéraires ne peut pas planifier ce voyage avec ses préférences. Demandez à l\'auteur du voyage de les modifier.',
+        'trip.downloadFailed': 'Impossible de télécharger le voyage. Vérifiez votre connexion et réessayez.',
+        'trip.notFound': 'Aucun voyage ne s\'appelle « {id} ».',
+        'trip.invalidId': '« {id} » n\'est pas un nom de voyage valide.',
+        'trip.downloadError': 'Impossible de télécharger le voyage (erreur {status}).',
+        'trip.invalidJson': 'Le fichier du voyage « {id} » n\'est pas un JSON valide.',
+        'share.otherVersion': 'Ce lien de partage a été créé par une autre version de Vromp.',
+        'share.damaged': 'Ce lien de partage est endommagé ou incomplet. Redemandez le lien.',
+
+        'schema.trip': 'Le voyage',
+        'schema.stop': 'Arrêt {number}',
+        'schema.notObject': 'Le voyage doit être un objet JSON.',
+        'schema.text': '{label} : "{field}" doit être du texte.',
+        'schema.oneOf': '{label} : "{field}" doit valoir l\'une de ces valeurs : {values}.',
+        'schema.locale': '{label} : "locale" doit être une étiquette de langue comme "en-US" ou "es-MX".',
+        'schema.positive': '{label} : "{field}" doit être un nombre supérieur à 0.',
+        'schema.noStops': '"stops" doit être une liste d\'au moins un arrêt.',
+        'schema.needsSecret': 'Les arrêts scellés exigent que le "secret" du voyage soit défini.',
+        'schema.stopNotObject': '{label} doit être un objet.',
+        'schema.missing': '{label} : "{field}" manquant.',
+        'schema.duplicateId': '{label} réutilise l\'id « {id} ».',
+        'schema.radius': '{label} doit avoir un "arrivalRadius" numérique en mètres.',
+        'schema.isFinal': '{label} doit avoir "isFinal" à true ou false.',
+        'schema.finalNotLast': '{label} est marqué comme final mais n\'est pas le dernier arrêt.',
+        'schema.needsDescription': '{label} est l\'arrêt final et doit avoir une "description".',
+        'schema.needsRecommendation': '{label} est un arrêt intermédiaire et doit avoir une "recommendation".',
+        'schema.finalCount': 'Exactement un arrêt doit avoir "isFinal": true ({count} trouvé(s)).',
+        'schema.coordinates': '{label} : "coordinates" manquant ({"lat": ..., "lng": ...}).',
+        'schema.range': '{label} : "{field}" doit être un nombre entre {min} et {max}.',
+        'schema.routing': '{label} : "routing" doit être un objet ({"avoid": [...], "scenic": true}).',
+        'schema.avoid': '{label} : "routing.avoid" doit être une liste parmi : {values}.',
+        'schema.boolean': '{label} : "{field}" doit valoir true ou false.',
+        'schema.sealed': '{label} : "sealed" doit contenir les textes "iv" et "data".',
+        'schema.sealedReadable': '{label} est scellé mais a aussi un "{field}" lisible.',
+        'schema.sealedRadius': '{label} est scellé : son "arrivalRadius" ne peut pas dépasser {max} m ici.',
+
+        'author.teaser': 'Accroche, p. ex. aventure de ~25 min • 3 arrêts',
+        'author.seal': 'Masquer les noms et textes des arrêts jusqu\'à l\'arrivée',
+        'author.hint': 'Touchez la carte pour placer votre premier arrêt.',
+        'author.stopName': 'Nom de l\'arrêt (révélé à l\'arrivée)',
+        'author.recommendation': 'Recommandation (arrêts intermédiaires)',
+        'author.description': 'Description (arrêt final)',
+        'author.radius': 'Rayon d\'arrivée',
+        'author.delete': 'Supprimer l\'arrêt',
+        'author.exit': 'Quitter',
+        'author.preview': 'Aperçu de l\'itinéraire',
+        'author.share': 'Partager',
+        'author.export': 'Exporter',
+        'author.untitled': 'Arrêt sans nom',
+        'author.final': '(final)',
+        'author.sealed': 'Ce voyage est scellé et ne peut plus être modifié. Créez-en un nouveau à partir de ses arrêts d\'origine.',
+        'author.needTwoStops': 'Ajoutez au moins deux arrêts pour voir l\'itinéraire.',
+        'author.previewResult': 'Itinéraire entre les arrêts : {distance}, {duration} de trajet.',
+        'author.previewFailed': 'Impossible d\'afficher l\'itinéraire. Vérifiez votre connexion et réessayez.',
+        'author.badId': 'Le nom du voyage ne peut contenir que des minuscules, des chiffres et des tirets.',
+        'author.saved': '{id}.json enregistré. Placez-le dans le dossier trips/ et ouvrez ?trip={id}.',
+        'author.noShare': 'Ce navigateur ne peut pas créer de liens de partage. Essayez une version récente de Chrome ou Safari.',
+        'author.shareTitle': 'Un voyage mystère Vromp',
+        'author.shared': 'Partagé ! Le lien ci-dessous ouvre le voyage.',
+        'author.copied': 'Lien copié. Toute personne qui l\'ouvre peut faire ce voyage.',
+        'author.copy': 'Copiez ce lien pour partager le voyage :',
+
+        'duration.minutes': '{minutes} min',
+        'duration.hours': '{hours} h {minutes} min',
+
+        'turn.left': 'Tournez à gauche',
+        'turn.right': 'Tournez à droite',
+        'turn.sharpLeft': 'Tournez franchement à gauche',
+        'turn.sharpRight': 'Tournez franchement à droite',
+        'turn.slightLeft': 'Tournez légèrement à gauche',
+        'turn.slightRight': 'Tournez légèrement à droite',
+        'turn.straight': 'Allez tout droit',
+        'turn.uturn': 'Faites demi-tour',
+        'road.onto': '{instruction} sur {road}',
+        'road.on': '{instruction} sur {road}',
+        'road.stayOn': '{instruction} pour rester sur {road}',
+        'road.toward': '{instruction} en direction de {places}',
+        'road.unnamed': 'la route',
+        'instr.depart': 'Partez',
+        'instr.arrive': 'Arrivée à destination',
+        'instr.arriveLeft': 'Votre destination est à gauche',
+        'instr.arriveRight': 'Votre destination est à droite',
+        'instr.continue': 'Continuez',
+        'instr.keepLeft': 'Restez à gauche',
+        'instr.keepRight': 'Restez à droite',
+        'instr.merge': 'Insérez-vous',
+        'instr.mergeLeft': 'Insérez-vous à gauche',
+        'instr.mergeRight': 'Insérez-vous à droite',
+        'instr.ramp': 'Prenez la bretelle',
+        'instr.rampLeft': 'Prenez la bretelle à gauche',
+        'instr.rampRight': 'Prenez la bretelle à droite',
+        'instr.exitNumber': 'Prenez la sortie {exit}',
+        'instr.exit': 'Prenez la sortie',
+        'instr.exitLeft': 'Prenez la sortie à gauche',
+        'instr.exitRight': 'Prenez la sortie à droite',
+        'instr.forkLeft': 'À l\'embranchement, restez à gauche',
+        'instr.forkRight': 'À l\'embranchement, restez à droite',
+        'instr.forkStraight': 'À l\'embranchement, continuez tout droit',
+        'instr.endOfRoadLeft': 'Au bout de la route, tournez à gauche',
+        'instr.endOfRoadRight': 'Au bout de la route, tournez à droite',
+        'instr.roundaboutExit': 'Au rond-point, prenez la {ordinal} sortie',
+        'instr.roundaboutEnter': 'Entrez dans le rond-point et sortez',
+        'instr.rotaryExit': 'À {place}, prenez la {ordinal} sortie',
+        'instr.rotaryEnter': 'Entrez dans {place} et sortez',
+        'instr.roundaboutTurn': 'Au rond-point, {turn}',
+        'instr.exitRoundabout': 'Sortez du rond-point',
+        'instr.then': 'Puis {instruction}',
+        'continue.driving': 'Continuez sur {road} pendant {distance}',
+        'continue.walking': 'Continuez à marcher sur {road} pendant {distance}',
+        'continue.cycling': 'Continuez à rouler sur {road} pendant {distance}',
+
+        'voice.in': 'Dans {distance}, {instruction}',
+        'voice.recalculating': 'Recalcul en cours',
+        'voice.arrivedAt': 'Vous êtes arrivé à {name}',
+        'voice.arrived': 'Vous êtes arrivé',
+        'spoken.feet': '{count} pieds',
+        'spoken.quarterMile': 'un quart de mille',
+        'spoken.halfMile': 'un demi-mille',
+        'spoken.threeQuarterMile': 'trois quarts de mille',
+        'spoken.mile': '1 mille',
+        'spoken.miles': '{count} milles',
+        'spoken.meters': '{count} mètres',
+        'spoken.kilometer': '1 kilomètre',
+        'spoken.kilometers': '{count} kilomètres'
+    }
+};
+
+// Active locale as a BCP 47 tag, e.g. 'en-US' or 'es-MX'
+let currentLocale = I18N_CONFIG.defaultLocale;
+
+/**
+ * Look up translated text for the active locale
+ * @param {string} key - Bundle key, e.g. 'nav.recalculating'
+ * @param {Object} params - Values for {name} placeholders
+ * @returns {string} Translated text, or the key itself if no bundle has it
+ */
+function t(key, params = {}) {
+    const bundle = I18N_BUNDLES[getLanguage()] || I18N_BUNDLES.en;
+    const text = bundle[key] !== undefined ? bundle[key] : I18N_BUNDLES.en[key];
+
+    if (text === undefined) {
+        console.warn(`Missing translation: ${key}`);
+        return key;
+    }
+
+    return text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+}
+
+/**
+ * Get the active locale
+ * @returns {string} BCP 47 tag, e.g. 'es-MX'
+ */
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Get the language of the active locale
+ * @returns {string} e.g. 'es'
+ */
+function getLanguage() {
+    return currentLocale.split('-')[0].toLowerCase();
+}
+
+/**
+ * Check whether a value is a well-formed BCP 47 tag
+ * Number and date formatting throw a RangeError on malformed tags.
+ * @param {*} locale - Value to check
+ * @returns {boolean}
+ */
+function isValidLocale(locale) {
+    if (typeof locale !== 'string') return false;
+
+    try {
+        Intl.getCanonicalLocales(locale);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Switch the app's language and translate the page
+ * Languages without a bundle, and malformed tags, fall back to English.
+ * @param {string} locale - BCP 47 tag, e.g. 'fr-CA'
+ */
+function setLocale(locale) {
+    const language = isValidLocale(locale) ? locale.split('-')[0].toLowerCase() : null;
+    currentLocale = I18N_BUNDLES[language] ? locale : I18N_CONFIG.defaultLocale;
+
+    document.documentElement.lang = currentLocale;
+    translatePage();
+    console.log(`Locale: ${currentLocale}`);
+}
+
+/**
+ * Pick the best locale for a trip: its own, else the browser's
+ * @param {Object} localeTrip - Trip object, or null before one is chosen
+ * @returns {string} BCP 47 tag
+ */
+function getPreferredLocale(localeTrip) {
+    if (localeTrip && localeTrip.locale) return localeTrip.locale;
+
+    const browserLocales = navigator.languages && navigator.languages.length > 0
+        ? navigator.languages
+        : [navigator.language || I18N_CONFIG.defaultLocale];
+
+    return browserLocales.find(locale => I18N_BUNDLES[locale.split('-')[0].toLowerCase()])
+        || I18N_CONFIG.defaultLocale;
+}
+
+/**
+ * Fill in every element marked for translation
+ *   data-i18n="key"             - text content
+ *   data-i18n-params='{"n": 1}' - placeholder values for data-i18n
+ *   data-i18n-placeholder="key" - placeholder attribute
+ *   data-i18n-title="key"       - title and aria-label attributes
+ */
+function translatePage() {
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        const params = el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : {};
+        el.textContent = t(el.dataset.i18n, params);
+    });
+
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+
+    document.querySelectorAll('[data-i18n-title]').forEach(el => {
+        el.title = t(el.dataset.i18nTitle);
+        el.setAttribute('aria-label', el.title);
+    });
+}
+
+/**
+ * Get the traveler's unit system
+ * Defaults to miles where road signs use them, else kilometers.
+ * @returns {string} 'imperial' or 'metric'
+ */
+function getUnits() {
+    try {
+        const stored = localStorage.getItem(I18N_CONFIG.unitsStorageKey);
+        if (stored === 'imperial' || stored === 'metric') return stored;
+    } catch (error) {
+        // Fall through to the default
+    }
+
+    const browserLocale = navigator.language || I18N_CONFIG.defaultLocale;
+    const region = browserLocale.split('-')[1];
+
+    // A bare "en" is most likely a US browser
+    if (!region) return browserLocale.toLowerCase() === 'en' ? 'imperial' : 'metric';
+    return I18N_CONFIG.imperialRegions.includes(region.toUpperCase()) ? 'imperial' : 'metric';
+}
+
+/**
+ * Set the traveler's unit system, remembering it on this device
+ * @param {string} units - 'imperial' or 'metric'
+ */
+function setUnits(units) {
+    try {
+        localStorage.setItem(I18N_CONFIG.unitsStorageKey, units);
+    } catch (error) {
+        console.warn('Could not save unit setting:', error);
+    }
+}
+
+/**
+ * Format a number with the active locale's decimal separator
+ * @param {number} value - Number to format
+ * @param {number} decimals - Digits after the decimal point
+ * @returns {string} e.g. "1.5" or "1,5"
+ */
+function formatNumber(value, decimals = 0) {
+    return value.toLocaleString(currentLocale, {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    });
+}
+
+/**
+ * Get the ordinal for a number in the active language
+ * @param {number} n - Positive integer
+ * @returns {string} e.g. "2nd", "2.ª", "2e"
+ */
+function formatOrdinal(n) {
+    switch (getLanguage()) {
+        case 'es':
+            return `${n}.ª`;
+        case 'fr':
+            return n === 1 ? '1re' : `${n}e`;
+        default: {
+            const lastTwo = n % 100;
+            if (lastTwo >= 11 && lastTwo <= 13) return `${n}th`;
+            return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+        }
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * Instruction module for Vromp
+ * Turns normalized route steps into spoken-style phrases, e.g.
+ * "Take exit 298 toward Provo" or "Take the 2nd exit at the roundabout onto 900 E",
+ * in the active language (see js/i18n.js)
+ *
+ * Covers every OSRM maneuver type; other providers are mapped onto OSRM's
+ * vocabulary by js/routing-providers.js.
+ */
+
+// OSRM modifier -> bundle key suffix for turn phrases
+const INSTRUCTION_TURNS = {
+    'left': 'left',
+    'right': 'right',
+    'sharp left': 'sharpLeft',
+    'sharp right': 'sharpRight',
+    'slight left': 'slightLeft',
+    'slight right': 'slightRight',
+    'straight': 'straight',
+    'uturn': 'uturn'
+};
+
+/**
+ * Build the phrase for a step's maneuver in the active language
+ * @param {Object} step - Normalized route step
+ * @returns {string} e.g. "Turn left onto Main St"
+ */
+function buildInstruction(step) {
+    const { type, modifier, exit } = step.maneuver;
+    const side = modifier && modifier.includes('left') ? 'Left' : modifier && modifier.includes('right') ? 'Right' : null;
+
+    switch (type) {
+        case 'depart':
+            return onto(t('instr.depart'), step, true);
+
+        case 'arrive':
+            return side ? t(`instr.arrive${side}`) : t('instr.arrive');
+
+        case 'turn':
+            return onto(getTurnPhrase(modifier), step);
+
+        case 'new name':
+            return onto(t('instr.continue'), step);
+
+        case 'continue': {
+            if (!modifier || modifier === 'straight') {
+                return withRoad(t('instr.continue'), step, 'road.on') || t('instr.continue');
+            }
+            if (modifier === 'uturn') return onto(getTurnPhrase(modifier), step);
+
+            const phrase = modifier.startsWith('slight') ? t(`instr.keep${side}`) : t(`turn.${side.toLowerCase()}`);
+            return withRoad(phrase, step, 'road.stayOn') || phrase;
+        }
+
+        case 'merge':
+            return onto(t(`instr.merge${side || ''}`), step);
+
+        case 'on ramp':
+            return onto(t(`instr.ramp${side || ''}`), step, true);
+
+        case 'off ramp': {
+            const phrase = step.exits
+                ? t('instr.exitNumber', { exit: step.exits.split(';')[0] })
+                : t(`instr.exit${side || ''}`);
+            return withDestinations(phrase, step) || onto(phrase, step);
+        }
+
+        case 'fork':
+            return onto(t(`instr.fork${side || 'Straight'}`), step, true);
+
+        case 'end of road':
+            return onto(t(`instr.endOfRoad${side || 'Right'}`), step);
+
+        case 'roundabout':
+        case 'rotary': {
+            // Named rotaries (e.g. "Dupont Circle") are called by name
+            const kind = type === 'rotary' && step.rotaryName ? 'rotary' : 'roundabout';
+            const params = { ordinal: exit ? formatOrdinal(exit) : '', place: step.rotaryName };
+            return exit
+                ? onto(t(`instr.${kind}Exit`, params), step)
+                : onto(t(`instr.${kind}Enter`, params), step);
+        }
+
+        case 'roundabout turn':
+            return onto(t('instr.roundaboutTurn', { turn: lowerFirst(getTurnPhrase(modifier)) }), step);
+
+        case 'exit roundabout':
+        case 'exit rotary':
+            return onto(t('instr.exitRoundabout'), step);
+
+        case 'notification':
+        default:
+            return onto(t('instr.continue'), step);
+    }
+}
+
+/**
+ * Build the phrase for a long stretch before the next maneuver
+ * @param {Object} step - Step being travelled (the one before the next maneuver)
+ * @param {number} distance - Meters to the next maneuver
+ * @param {string} profile - Travel profile, e.g. 'walking'
+ * @returns {string} e.g. "Continue on Highway 89 for 12 mi"
+ */
+function buildContinueInstruction(step, distance, profile) {
+    return t(`continue.${profile}`, {
+        road: getRoadName(step) || t('road.unnamed'),
+        distance: formatDistance(distance)
+    });
+}
+
+/**
+ * Build the follow-up line for a maneuver that comes right after another
+ * @param {Object} step - The following step
+ * @returns {string} e.g. "Then turn left onto Main St"
+ */
+function buildThenInstruction(step) {
+    return t('instr.then', { instruction: lowerFirst(buildInstruction(step)) });
+}
+
+/**
+ * Get the verb phrase for a turn modifier
+ * @param {string} modifier - OSRM modifier
+ * @returns {string} e.g. "Turn left", "Bear right", "Make a U-turn"
+ */
+function getTurnPhrase(modifier) {
+    return t(`turn.${INSTRUCTION_TURNS[modifier] || 'straight'}`);
+}
+
+/**
+ * Get the road name to speak for a step: its name, else its route number
+ * @param {Object} step - Normalized route step
+ * @returns {string} Road name, or '' if the road has neither
+ */
+function getRoadName(step) {
+    if (step.name && step.ref && !step.name.includes(step.ref)) {
+        return `${step.name} (${step.ref})`;
+    }
+    return step.name || step.ref || '';
+}
+
+/**
+ * Shorten signposted destinations to the places people recognize
+ * OSRM gives e.g. "I 15 South: Provo, Orem"; the refs before ':' are dropped.
+ * @param {string} destinations - Raw destinations text
+ * @returns {string} e.g. "Provo, Orem"
+ */
+function formatDestinations(destinations) {
+    const places = destinations.includes(': ') ? destinations.split(': ')[1] : destinations;
+    return places.split(',').slice(0, 2).map(place => place.trim()).join(', ');
+}
+
+/**
+ * Add the step's road to a phrase, if it has one
+ * @param {string} instruction - Phrase without the road, e.g. "Turn left"
+ * @param {Object} step - Normalized route step
+ * @param {string} key - Bundle key joining the two, e.g. 'road.onto'
+ * @returns {string} e.g. "Turn left onto Main St", or '' if the road has no name
+ */
+function withRoad(instruction, step, key) {
+    const road = getRoadName(step);
+    return road ? t(key, { instruction: instruction, road: road }) : '';
+}
+
+/**
+ * Add the step's signposted destinations to a phrase, if it has any
+ * @param {string} instruction - Phrase without the destinations
+ * @param {Object} step - Normalized route step
+ * @returns {string} e.g. "Take exit 298 toward Provo", or '' if there are none
+ */
+function withDestinations(instruction, step) {
+    if (!step.destinations) return '';
+    return t('road.toward', { instruction: instruction, places: formatDestinations(step.destinations) });
+}
+
+/**
+ * Add where a maneuver leads: the road, else (if allowed) the signposts, else nothing
+ * @param {string} instruction - Phrase without the road
+ * @param {Object} step - Normalized route step
+ * @param {boolean} useDestinations - Fall back to signposted destinations
+ * @returns {string} e.g. "Turn left onto Main St"
+ */
+function onto(instruction, step, useDestinations = false) {
+    return withRoad(instruction, step, 'road.onto')
+        || (useDestinations && withDestinations(instruction, step))
+        || instruction;
+}
+
+/**
+ * Lowercase the first letter, to continue a sentence with a phrase
+ * @param {string} text - Phrase
+ * @returns {string} e.g. "turn left onto Main St"
+ */
+function lowerFirst(text) {
+    return text.charAt(0).toLowerCase() + text.slice(1);
+}
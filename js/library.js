@@ -0,0 +1,165 @@
+/**
+ * Library module for Vromp
+ * Lists the available trips on the start screen and remembers which ones
+ * this device has completed
+ */
+
+const LIBRARY_CONFIG = {
+    indexFile: 'index.json', // inside TRIPS_CONFIG.directory
+    completedStorageKey: 'vromp.completedTrips'
+};
+
+// Labels are bundle keys (see js/i18n.js)
+const PROFILE_LABELS = {
+    driving: { icon: '🚗', label: 'profile.driving' },
+    walking: { icon: '🚶', label: 'profile.walking' },
+    cycling: { icon: '🚲', label: 'profile.cycling' }
+};
+
+/**
+ * Load every trip listed in the library index
+ * Trips that fail to load or validate are left out of the library.
+ * @returns {Promise<Array>} Library entries {id, trip}
+ */
+async function loadTripLibrary() {
+    const url = `${TRIPS_CONFIG.directory}/${LIBRARY_CONFIG.indexFile}`;
+    let index;
+
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Library index error: ${response.status}`);
+        }
+        index = await response.json();
+    } catch (error) {
+        console.error('Library fetch error:', error);
+        throw new Error(t('library.loadFailed'));
+    }
+
+    const tripIds = Array.isArray(index.trips) ? index.trips : [];
+
+    const entries = await Promise.all(tripIds.map(async (tripId) => {
+        try {
+            const libraryTrip = await loadTrip(tripId);
+            const problems = validateTrip(libraryTrip);
+            if (problems.length > 0) {
+                console.warn(`Leaving "${tripId}" out of the library:`, problems);
+                return null;
+            }
+            return { id: tripId, trip: libraryTrip };
+        } catch (error) {
+            console.warn(`Leaving "${tripId}" out of the library:`, error.message);
+            return null;
+        }
+    }));
+
+    return entries.filter(Boolean);
+}
+
+/**
+ * Render library entries as cards
+ * Cards only show what's safe to know up front: never a stop name or place.
+ * @param {Array} entries - Library entries {id, trip}
+ * @param {Function} onSelect - Called with the entry when a card is tapped
+ */
+function renderTripLibrary(entries, onSelect) {
+    const listEl = document.getElementById('trip-library');
+
+    listEl.innerHTML = '';
+
+    entries.forEach(entry => {
+        const card = document.createElement('button');
+        card.className = 'trip-card';
+        card.dataset.tripId = entry.id;
+
+        const title = document.createElement('div');
+        title.className = 'trip-card-title';
+        title.textContent = entry.trip.title || t('library.untitled');
+
+        const teaser = document.createElement('div');
+        teaser.className = 'trip-card-teaser';
+        teaser.textContent = entry.trip.teaser || '';
+
+        const meta = document.createElement('div');
+        meta.className = 'trip-card-meta';
+        meta.textContent = describeTrip(entry.trip);
+
+        const badge = document.createElement('span');
+        badge.className = 'trip-card-badge';
+        badge.textContent = t('library.done');
+
+        card.appendChild(title);
+        card.appendChild(teaser);
+        card.appendChild(meta);
+        card.appendChild(badge);
+
+        card.addEventListener('click', () => {
+            listEl.querySelectorAll('.trip-card').forEach(el => el.classList.remove('selected'));
+            card.classList.add('selected');
+            onSelect(entry);
+        });
+
+        listEl.appendChild(card);
+    });
+
+    refreshCompletedBadges();
+}
+
+/**
+ * Mark the library cards of trips completed on this device
+ */
+function refreshCompletedBadges() {
+    const completed = getCompletedTrips();
+
+    document.querySelectorAll('#trip-library .trip-card').forEach(card => {
+        card.classList.toggle('completed', completed.includes(card.dataset.tripId));
+    });
+}
+
+/**
+ * Build the one-line summary shown on a trip card
+ * @param {Object} libraryTrip - Validated trip object
+ * @returns {string} e.g. "🚗 Drive • ~25 min • 3 stops"
+ */
+function describeTrip(libraryTrip) {
+    const profile = PROFILE_LABELS[libraryTrip.profile] || PROFILE_LABELS.driving;
+    const parts = [`${profile.icon} ${t(profile.label)}`];
+
+    if (libraryTrip.estimatedMinutes) {
+        parts.push(`~${formatDuration(libraryTrip.estimatedMinutes * 60)}`);
+    }
+
+    const stopCount = libraryTrip.stops.length;
+    parts.push(stopCount === 1 ? t('library.stop') : t('library.stops', { count: stopCount }));
+
+    return parts.join(' • ');
+}
+
+/**
+ * Get the ids of trips completed on this device
+ * @returns {Array<string>} Trip ids
+ */
+function getCompletedTrips() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(LIBRARY_CONFIG.completedStorageKey));
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Remember that this device completed a trip
+ * @param {string} tripId - Trip id
+ */
+function markTripCompleted(tripId) {
+    const completed = getCompletedTrips();
+    if (completed.includes(tripId)) return;
+
+    completed.push(tripId);
+    try {
+        localStorage.setItem(LIBRARY_CONFIG.completedStorageKey, JSON.stringify(completed));
+    } catch (error) {
+        console.warn('Could not save completed trip:', error);
+    }
+}
@@ -7,34 +7,47 @@ let map = null;
 let userMarker = null;
 let accuracyCircle = null;
 let routeLine = null;
+let maneuverMarker = null;
+let mapTheme = 'day'; // Tile style in use, a key of VROMP_CONFIG.tiles
+const baseMaps = []; // {map, tiles} for every map created, so the theme can swap their tiles
 
 // Map configuration
 const MAP_CONFIG = {
     defaultZoom: 17,
     maxZoom: 19,
     minZoom: 10,
-    tileUrl: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
-    attribution: '© OpenStreetMap'
+    maxAnimationDuration: 3000, // ms - glide no longer than this between fixes
+    maxAnimationDistance: 300, // meters - jump instead of gliding further than this
+    headingDeadBand: 5, // degrees - ignore heading changes smaller than this
+    headingEasing: 250, // ms - time constant of the map's rotation easing
+    lookAheadFraction: 1 / 6, // of the map height: centering this far ahead puts the user in the lower third
+    followResumeDelay: 10000, // ms after the last pan or pinch before following the user again
+    zoomChangeInterval: 4000, // ms - hold each auto-zoom level at least this long
+    speedZooms: [ // zoom out as speed goes up: first band the speed is under wins
+        { below: 8, zoom: 17 }, // m/s (~18 mph): town streets, walking, cycling
+        { below: 18, zoom: 16 }, // ~40 mph
+        { below: 27, zoom: 15 }, // ~60 mph
+        { below: Infinity, zoom: 14 } // highways
+    ],
+    maneuverZoom: 17, // zoom in at least this far approaching a maneuver
+    maneuverApproachTime: 20, // seconds - how far ahead counts as approaching
+    maneuverApproachMin: 150, // meters - approaching distance at low speeds
+    turnPreviewDuration: 3000, // ms to frame an upcoming turn before following again
+    turnPreviewPadding: 60 // pixels around the user and the turn
 };
 
 /**
  * Initialize the Leaflet map
  * @param {string} containerId - ID of the map container element
+ * @param {Function} onFollow - Called with true/false when the map starts or stops following the user
  */
-function initMap(containerId) {
-    map = L.map(containerId, {
-        zoomControl: false,
-        attributionControl: true,
+function initMap(containerId, onFollow) {
+    map = createBaseMap(containerId, {
         rotate: true,
         rotateControl: false,
         touchRotate: false,
         bearing: 0
-    }).setView([0, 0], MAP_CONFIG.defaultZoom);
-
-    L.tileLayer(MAP_CONFIG.tileUrl, {
-        maxZoom: MAP_CONFIG.maxZoom,
-        attribution: MAP_CONFIG.attribution
-    }).addTo(map);
+    });
 
     // Create user arrow marker
     const arrowIcon = L.divIcon({
@@ -44,6 +57,9 @@ function initMap(containerId) {
         iconAnchor: [12, 12]
     });
 
+    onFollowChange = onFollow || null;
+    watchMapGestures();
+
     userMarker = L.marker([0, 0], {
         icon: arrowIcon,
         zIndexOffset: 1000
@@ -59,11 +75,82 @@ function initMap(containerId) {
     console.log('Map initialized');
 }
 
-// Track last known heading for smooth updates
-let lastHeading = null;
+/**
+ * Create a Leaflet map with the app's tile layer and defaults
+ * Shared by the navigation map and the trip authoring map
+ * @param {string} containerId - ID of the map container element
+ * @param {Object} options - Extra Leaflet map options
+ * @returns {Object} Leaflet map instance
+ */
+function createBaseMap(containerId, options = {}) {
+    const baseMap = L.map(containerId, {
+        zoomControl: false,
+        attributionControl: true,
+        ...options
+    }).setView([0, 0], MAP_CONFIG.defaultZoom);
+
+    const tiles = createTileLayer(mapTheme).addTo(baseMap);
+    baseMaps.push({ map: baseMap, tiles: tiles });
+
+    return baseMap;
+}
+
+/**
+ * Create the tile layer for a theme
+ * @param {string} theme - 'day' or 'night'
+ * @returns {Object} Leaflet tile layer
+ */
+function createTileLayer(theme) {
+    const style = VROMP_CONFIG.tiles[theme];
+
+    return L.tileLayer(style.url, {
+        maxZoom: MAP_CONFIG.maxZoom,
+        subdomains: style.subdomains || 'abc',
+        attribution: style.attribution
+    });
+}
+
+/**
+ * Switch every map to the day or night tiles
+ * @param {string} theme - 'day' or 'night'
+ */
+function setMapTheme(theme) {
+    if (theme === mapTheme) return;
+
+    mapTheme = theme;
+    baseMaps.forEach(entry => {
+        entry.map.removeLayer(entry.tiles);
+        entry.tiles = createTileLayer(theme).addTo(entry.map);
+    });
+}
+
+// Animation state: the arrow glides from where it's drawn to each new fix,
+// and the map's rotation eases toward the latest heading
+let markerFrom = null; // L.LatLng the current glide started at
+let markerTo = null; // L.LatLng of the latest position
+let markerAnimStart = 0; // performance.now() when the glide started
+let markerAnimDuration = 0; // ms
+let lastPositionTime = null; // performance.now() of the previous update
+let displayedLatLng = null; // Where the arrow is drawn right now
+let displayedHeading = null; // Map heading right now, in degrees
+let targetHeading = null; // Heading the map is easing toward
+let animationFrame = null;
+let lastFrameTime = null;
+
+// Follow mode: the map tracks the user until they pan or pinch it
+let following = true;
+let followResumeTimer = null;
+let onFollowChange = null; // Called with true/false when following starts or stops
+let followZoom = MAP_CONFIG.defaultZoom; // Zoom to use while following
+let lastZoomChange = 0; // performance.now() of the last auto-zoom change
+let followZooming = false; // A zoom animation is running; don't re-center under it
+let previewing = false; // Framing an upcoming turn (see previewTurn)
+let previewTimer = null;
 
 /**
  * Update the user's position on the map
+ * The arrow glides there over about the time since the last update, so it
+ * keeps moving smoothly until the next fix arrives.
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
  * @param {number} heading - Heading in degrees (may be null)
@@ -71,45 +158,306 @@ let lastHeading = null;
  */
 function updateUserPosition(lat, lng, heading, accuracy) {
     const latlng = L.latLng(lat, lng);
+    const now = performance.now();
 
     // Add marker to map if not already added
     if (!map.hasLayer(userMarker)) {
         userMarker.addTo(map);
         accuracyCircle.addTo(map);
+        displayedLatLng = null;
     }
 
-    // Update marker position
-    userMarker.setLatLng(latlng);
-
-    // Update accuracy circle
-    accuracyCircle.setLatLng(latlng);
+    // Update accuracy circle size; its position follows the arrow
     accuracyCircle.setRadius(accuracy);
 
+    // Jump straight there on the first fix, or after a long gap or a big leap
+    const elapsed = lastPositionTime === null ? Infinity : now - lastPositionTime;
+    lastPositionTime = now;
+
+    if (!displayedLatLng || elapsed > MAP_CONFIG.maxAnimationDuration ||
+        displayedLatLng.distanceTo(latlng) > MAP_CONFIG.maxAnimationDistance) {
+        markerFrom = latlng;
+        markerAnimDuration = 0;
+    } else {
+        markerFrom = displayedLatLng;
+        markerAnimDuration = elapsed;
+    }
+    markerTo = latlng;
+    markerAnimStart = now;
+
     // Handle heading/rotation
-    if (heading !== null && heading !== undefined && !isNaN(heading)) {
-        lastHeading = heading;
+    setMapHeading(heading);
+    startMapAnimation();
+}
+
+/**
+ * Rotate the map so the given heading is "up"
+ * Changes smaller than the dead-band are ignored, so GPS and compass noise
+ * don't make the map wobble; larger ones are eased in. Ignored until
+ * there's a position to draw.
+ * @param {number} heading - Heading in degrees (ignored if null)
+ */
+function setMapHeading(heading) {
+    if (heading === null || heading === undefined || isNaN(heading)) return;
+
+    // Nothing to turn around until the arrow has a position
+    if (!markerTo) return;
+
+    if (targetHeading !== null &&
+        Math.abs(getHeadingDifference(targetHeading, heading)) < MAP_CONFIG.headingDeadBand) {
+        return;
+    }
+
+    targetHeading = heading;
+    if (displayedHeading === null) {
+        displayedHeading = heading;
+    }
+
+    startMapAnimation();
+}
+
+/**
+ * Start drawing animation frames, unless they're already running
+ * Does nothing until there's a position to draw the arrow at.
+ */
+function startMapAnimation() {
+    if (animationFrame !== null || !markerFrom || !markerTo) return;
+
+    lastFrameTime = performance.now();
+    animationFrame = requestAnimationFrame(renderMapFrame);
+}
+
+/**
+ * Draw one animation frame: move the arrow, turn the map, and follow the arrow
+ * Keeps requesting frames until the arrow has arrived and the map has turned.
+ * @param {number} now - Frame time from requestAnimationFrame
+ */
+function renderMapFrame(now) {
+    // Reset since this frame was requested: nothing to draw
+    if (!markerFrom || !markerTo) {
+        animationFrame = null;
+        return;
+    }
+
+    const frameTime = Math.max(0, now - lastFrameTime);
+    lastFrameTime = now;
+
+    // Position: straight-line glide toward the latest fix
+    const progress = markerAnimDuration > 0 ? Math.min(1, (now - markerAnimStart) / markerAnimDuration) : 1;
+    displayedLatLng = L.latLng(
+        markerFrom.lat + (markerTo.lat - markerFrom.lat) * progress,
+        markerFrom.lng + (markerTo.lng - markerFrom.lng) * progress
+    );
+
+    // Only the arrow moves while the user looks around or a turn is framed
+    if (!following || previewing) {
+        userMarker.setLatLng(displayedLatLng);
+        accuracyCircle.setLatLng(displayedLatLng);
+        animationFrame = progress < 1 ? requestAnimationFrame(renderMapFrame) : null;
+        return;
+    }
+
+    // Heading: close a fixed share of the gap per unit of time (exponential easing)
+    let turning = false;
+    if (targetHeading !== null) {
+        const gap = getHeadingDifference(displayedHeading, targetHeading);
+        if (Math.abs(gap) < 0.5) {
+            displayedHeading = targetHeading;
+        } else {
+            displayedHeading = (displayedHeading + gap * (1 - Math.exp(-frameTime / MAP_CONFIG.headingEasing)) + 360) % 360;
+            turning = true;
+        }
 
-        // Rotate the map so direction of travel is "up"
         // Map bearing is opposite of heading (we rotate map, not marker)
         if (map.setBearing) {
-            map.setBearing(-heading);
+            map.setBearing(-displayedHeading);
         }
     }
 
-    // Center map on user with offset (user in lower third)
-    centerMapOnUser(lat, lng);
+    userMarker.setLatLng(displayedLatLng);
+    accuracyCircle.setLatLng(displayedLatLng);
+    centerMapOnUser(displayedLatLng.lat, displayedLatLng.lng);
+
+    animationFrame = progress < 1 || turning ? requestAnimationFrame(renderMapFrame) : null;
 }
 
 /**
- * Center the map on the user's position
- * When map is rotated, we center directly on user to avoid drift
+ * Center the map ahead of the user, so they sit in the lower third
+ * The look-ahead is measured along the heading the map is drawn with, in
+ * unrotated map pixels, so the user stays put on screen however the map turns.
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
  */
 function centerMapOnUser(lat, lng) {
-    // Simple center - works correctly with map rotation
-    // The offset approach causes drift when map rotates
-    map.setView([lat, lng], map.getZoom(), { animate: true, duration: 0.3 });
+    if (followZooming) return;
+
+    const zoom = followZoom;
+    let center = L.latLng(lat, lng);
+
+    if (displayedHeading !== null && map.setBearing) {
+        const distance = map.getContainer().clientHeight * MAP_CONFIG.lookAheadFraction;
+        const user = map.project(center, zoom);
+        const ahead = L.point(
+            user.x + distance * Math.sin(toRad(displayedHeading)),
+            user.y - distance * Math.cos(toRad(displayedHeading))
+        );
+        center = map.unproject(ahead, zoom);
+    }
+
+    if (zoom !== map.getZoom()) {
+        followZooming = true;
+        map.once('zoomend', () => {
+            followZooming = false;
+        });
+        map.setView(center, zoom, { animate: true });
+        return;
+    }
+
+    map.setView(center, zoom, { animate: false });
+}
+
+/**
+ * Stop following the user when they pan or pinch the map
+ */
+function watchMapGestures() {
+    map.on('dragstart', pauseFollow);
+    map.on('dragend', pauseFollow); // restart the resume countdown once they let go
+
+    const container = map.getContainer();
+    container.addEventListener('touchstart', event => {
+        if (event.touches.length > 1) pauseFollow();
+    }, { passive: true });
+    container.addEventListener('wheel', pauseFollow, { passive: true });
+}
+
+/**
+ * Let the user look around: stop moving and turning the map for a while
+ */
+function pauseFollow() {
+    endTurnPreview();
+    clearTimeout(followResumeTimer);
+    followResumeTimer = setTimeout(resumeFollow, MAP_CONFIG.followResumeDelay);
+
+    if (!following) return;
+
+    following = false;
+    console.log('Map follow paused');
+    if (onFollowChange) onFollowChange(false);
+}
+
+/**
+ * Go back to following the user, e.g. from the recenter button
+ */
+function resumeFollow() {
+    endTurnPreview();
+    clearTimeout(followResumeTimer);
+    followResumeTimer = null;
+
+    if (following) return;
+
+    following = true;
+    console.log('Map follow resumed');
+    if (onFollowChange) onFollowChange(true);
+
+    // Jump back to the user at the follow zoom rather than waiting for the next fix
+    if (displayedLatLng) {
+        map.setView(displayedLatLng, followZoom, { animate: false });
+        startMapAnimation();
+    }
+}
+
+/**
+ * Briefly frame both the user and an upcoming turn, so its shape is clear
+ * Following picks up again after turnPreviewDuration. Skipped while the user
+ * is looking around the map themselves.
+ * @param {number} userLat - User latitude
+ * @param {number} userLng - User longitude
+ * @param {number} turnLat - Maneuver latitude
+ * @param {number} turnLng - Maneuver longitude
+ */
+function previewTurn(userLat, userLng, turnLat, turnLng) {
+    if (!following) return;
+
+    previewing = true;
+    const padding = MAP_CONFIG.turnPreviewPadding;
+    map.fitBounds(L.latLngBounds(L.latLng(userLat, userLng), L.latLng(turnLat, turnLng)), {
+        padding: [padding, padding],
+        maxZoom: MAP_CONFIG.maxZoom
+    });
+
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(endTurnPreview, MAP_CONFIG.turnPreviewDuration);
+}
+
+/**
+ * Stop framing the turn and go back to following the user
+ */
+function endTurnPreview() {
+    clearTimeout(previewTimer);
+    previewTimer = null;
+
+    if (!previewing) return;
+
+    previewing = false;
+    startMapAnimation();
+}
+
+/**
+ * Pick the zoom for following the user
+ * Zooms out with speed so there's time to see what's coming, and back in
+ * approaching a maneuver so the turn itself is clear.
+ * @param {number|null} speed - Speed in m/s
+ * @param {number|null} distanceToManeuver - Meters to the next maneuver, if navigating
+ * @returns {number} Zoom level within minZoom..maxZoom
+ */
+function getFollowZoom(speed, distanceToManeuver) {
+    const moving = speed !== null && speed !== undefined && speed > 0 ? speed : 0;
+    let zoom = MAP_CONFIG.speedZooms.find(band => moving < band.below).zoom;
+
+    if (distanceToManeuver !== null && distanceToManeuver !== undefined) {
+        const approach = Math.max(MAP_CONFIG.maneuverApproachMin, moving * MAP_CONFIG.maneuverApproachTime);
+        if (distanceToManeuver <= approach) {
+            zoom = Math.max(zoom, MAP_CONFIG.maneuverZoom);
+        }
+    }
+
+    return Math.min(MAP_CONFIG.maxZoom, Math.max(MAP_CONFIG.minZoom, zoom));
+}
+
+/**
+ * Set the zoom to use while following the user
+ * Changes are held for zoomChangeInterval so speed wobble doesn't make the
+ * map zoom in and out; the next animation frame applies them.
+ * @param {number} zoom - Zoom level
+ */
+function setFollowZoom(zoom) {
+    if (zoom === followZoom) return;
+
+    const now = performance.now();
+    if (now - lastZoomChange < MAP_CONFIG.zoomChangeInterval) return;
+
+    followZoom = zoom;
+    lastZoomChange = now;
+    startMapAnimation();
+}
+
+/**
+ * Stop animating and forget the drawn position, e.g. when a trip ends
+ */
+function resetMapAnimation() {
+    if (animationFrame !== null) {
+        cancelAnimationFrame(animationFrame);
+        animationFrame = null;
+    }
+
+    markerFrom = null;
+    markerTo = null;
+    lastPositionTime = null;
+    displayedLatLng = null;
+    displayedHeading = null;
+    targetHeading = null;
+    followZoom = MAP_CONFIG.defaultZoom;
+    resumeFollow();
 }
 
 /**
@@ -146,6 +494,45 @@ function clearRouteLine() {
     }
 }
 
+/**
+ * Mark the next maneuver on the map
+ * The arrow is turned to the road leading into the maneuver, so it shows the
+ * turn the way the traveler will see it; it turns with the map.
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {string} icon - Arrow from getManeuverIcon
+ * @param {number} bearing - Direction the road comes in from, in degrees
+ */
+function drawManeuverMarker(lat, lng, icon, bearing) {
+    clearManeuverMarker();
+
+    const markerIcon = L.divIcon({
+        className: 'maneuver-marker-container',
+        html: `<div class="maneuver-marker">${icon}</div>`,
+        iconSize: [32, 32],
+        iconAnchor: [16, 16]
+    });
+
+    // rotation and rotateWithView come from leaflet-rotate (radians)
+    maneuverMarker = L.marker([lat, lng], {
+        icon: markerIcon,
+        interactive: false,
+        rotation: toRad(bearing),
+        rotateWithView: true,
+        zIndexOffset: 500
+    }).addTo(map);
+}
+
+/**
+ * Clear the maneuver marker from the map
+ */
+function clearManeuverMarker() {
+    if (maneuverMarker) {
+        map.removeLayer(maneuverMarker);
+        maneuverMarker = null;
+    }
+}
+
 /**
  * Add a destination marker to the map
  * @param {number} lat - Latitude
@@ -3,50 +3,235 @@
  * Handles turn-by-turn logic and instruction display
  */
 
-// Navigation thresholds
+// Navigation thresholds shared by every profile
 const NAV_CONFIG = {
-    stepCompletionRadius: 30, // meters - when to advance to next step
     arrivalRadius: 75, // meters - when to trigger arrival
-    offRouteThreshold: 75, // meters - when to consider user off-route
-    longStretchDistance: 3218.69 // 2 miles in meters
+    rerouteDebounce: 10000, // ms - minimum time between re-routes
+    routeRetryDelay: 15000, // ms - wait after a failed route request
+    progressLookBehind: 2, // route segments behind the last position to search
+    progressLookAhead: 500, // meters ahead of the last position to search
+    signalLossAfter: 4000, // ms without a GPS fix before dead reckoning along the route
+    deadReckoningLimit: 60000, // ms - give up guessing after this long without a fix
+    snapFadeStart: 0.5, // fraction of offRouteThreshold beyond which the arrow eases off the route
+    defaultProfile: 'driving'
 };
 
+// Per-profile thresholds. Distances the traveler hears or reads come in
+// imperial and metric versions so they land on round numbers in either.
+const NAV_PROFILES = {
+    driving: {
+        stepCompletionRadius: 30, // meters - when to advance to next step
+        offRouteThreshold: 75, // meters - when to consider user off-route
+        offRouteDuration: 3000, // ms off-route before re-routing
+        longStretchDistance: { imperial: 3218.69, metric: 3000 }, // 2 mi / 3 km, in meters
+        fallbackSpeed: 13.4, // m/s (~30 mph) for estimates without route data
+        maxSpeed: 70, // m/s (~155 mph) - GPS fixes implying more are dropped
+        compassBelowSpeed: null, // GPS heading is reliable while driving
+        headingMinSpeed: 3, // m/s - send heading when re-routing above this (null: never)
+        rejoinDistance: 200, // meters - closer than this, re-routing steers back onto the route
+        thenDistance: 150, // show the following maneuver when it comes this soon after
+        laneDistance: 800, // meters - show turn lanes this close to a maneuver (null: never)
+        previewDistance: 300, // meters - frame the upcoming turn on the map this close to it (null: never)
+        announceDistances: { // spoken warnings before a maneuver
+            imperial: [3218.69, 804.67, 152.4], // 2 mi, 0.5 mi, 500 ft
+            metric: [3000, 1000, 150]
+        },
+        announceSpeed: 26.8 // m/s (~60 mph) the announce distances are meant for
+    },
+    walking: {
+        stepCompletionRadius: 15,
+        offRouteThreshold: 35,
+        offRouteDuration: 8000, // walkers pause and wander; give them longer
+        longStretchDistance: { imperial: 804.67, metric: 800 }, // 0.5 mi / 800 m
+        fallbackSpeed: 1.4, // ~3 mph
+        maxSpeed: 12, // a sprint, with room for GPS error
+        compassBelowSpeed: 3, // m/s - GPS heading is noise at walking pace
+        headingMinSpeed: null, // turning around on foot costs nothing
+        rejoinDistance: 80,
+        thenDistance: 40,
+        laneDistance: null, // lanes don't matter on foot
+        previewDistance: null, // the map is already zoomed in on foot
+        announceDistances: { imperial: [152.4, 30.48], metric: [150, 30] }, // 500 ft, 100 ft
+        announceSpeed: 1.4
+    },
+    cycling: {
+        stepCompletionRadius: 20,
+        offRouteThreshold: 50,
+        offRouteDuration: 5000,
+        longStretchDistance: { imperial: 1609.34, metric: 1500 }, // 1 mi / 1.5 km
+        fallbackSpeed: 4.5, // ~10 mph
+        maxSpeed: 25,
+        compassBelowSpeed: 2,
+        headingMinSpeed: 2,
+        rejoinDistance: 120,
+        thenDistance: 75,
+        laneDistance: 300,
+        previewDistance: 150,
+        announceDistances: { imperial: [804.67, 152.4, 45.72], metric: [800, 150, 50] }, // 0.5 mi, 500 ft, 150 ft
+        announceSpeed: 5
+    }
+};
+
+/**
+ * Get the navigation thresholds for the current leg's profile
+ * @param {Object} state - App state
+ * @returns {Object} Entry from NAV_PROFILES
+ */
+function getNavProfile(state) {
+    return NAV_PROFILES[state.profile] || NAV_PROFILES[NAV_CONFIG.defaultProfile];
+}
+
+/**
+ * Prepare along-route progress tracking for the current leg
+ * Measures the leg geometry and finds where each maneuver sits on it, so
+ * every position update is just a projection onto the line.
+ * @param {Object} state - App state
+ */
+function initRouteProgress(state) {
+    const geometry = state.routeGeometry || [];
+    const cumulative = getCumulativeDistances(geometry);
+
+    // Maneuvers come in route order, so each search starts at the last one
+    let segmentIndex = 0;
+    const stepOffsets = state.routeSteps.map(step => {
+        if (geometry.length < 2) return 0;
+
+        const projection = projectOntoRoute(step.maneuver.location, geometry, cumulative, segmentIndex);
+        segmentIndex = projection.segmentIndex;
+        return projection.along;
+    });
+
+    state.progress = {
+        cumulative: cumulative,
+        stepOffsets: stepOffsets, // meters from the leg start to each step's maneuver
+        length: cumulative[cumulative.length - 1] || 0,
+        along: 0, // meters travelled along the leg
+        segmentIndex: 0
+    };
+}
+
+/**
+ * Project the current position onto the current leg
+ * Searches near the last known position first, so a route that passes the
+ * same spot twice doesn't make progress jump between the passes.
+ * @param {Object} state - App state
+ */
+function updateRouteProgress(state) {
+    const progress = state.progress;
+    const geometry = state.routeGeometry;
+
+    if (!progress || !geometry || geometry.length < 2) return;
+
+    const windowStart = Math.max(0, progress.segmentIndex - NAV_CONFIG.progressLookBehind);
+    let windowEnd = progress.segmentIndex + 1;
+    while (windowEnd < geometry.length - 1 &&
+        progress.cumulative[windowEnd] < progress.along + NAV_CONFIG.progressLookAhead) {
+        windowEnd++;
+    }
+
+    let projection = projectOntoRoute(state.currentPosition, geometry, progress.cumulative, windowStart, windowEnd);
+
+    // Nothing close by (a GPS jump, or a shortcut): search the whole leg
+    if (projection.distance > getNavProfile(state).offRouteThreshold) {
+        const anywhere = projectOntoRoute(state.currentPosition, geometry, progress.cumulative);
+        if (anywhere.distance < projection.distance) {
+            projection = anywhere;
+        }
+    }
+
+    progress.along = projection.along;
+    progress.segmentIndex = projection.segmentIndex;
+    state.distanceToRoute = projection.distance;
+    state.closestRoutePoint = projection.point;
+}
+
+/**
+ * Get where to draw the traveler's arrow
+ * Close to the route the arrow sits on the road, pointing along it; between
+ * snapFadeStart and the off-route threshold it eases back to the GPS position,
+ * so leaving the route doesn't make it jump.
+ * @param {Object} state - App state (after updateRouteProgress)
+ * @returns {Object} {lat, lng, heading}
+ */
+function getDisplayPosition(state) {
+    const raw = { lat: state.currentPosition.lat, lng: state.currentPosition.lng, heading: state.heading };
+    const progress = state.progress;
+
+    if (!progress || !state.closestRoutePoint || state.distanceToRoute === null ||
+        !state.routeGeometry || state.routeGeometry.length < 2) {
+        return raw;
+    }
+
+    const threshold = getNavProfile(state).offRouteThreshold;
+    const fadeStart = threshold * NAV_CONFIG.snapFadeStart;
+    const weight = Math.min(1, Math.max(0, (threshold - state.distanceToRoute) / (threshold - fadeStart)));
+    if (weight === 0) return raw;
+
+    const snapped = state.closestRoutePoint;
+    const [aheadLat, aheadLng] = getPointAlongRoute(state.routeGeometry, progress.cumulative, progress.along + 10);
+    let heading = state.heading;
+
+    // Headed the other way (e.g. about to turn around): keep the GPS heading
+    if (progress.along < progress.length) {
+        const roadHeading = getBearing(snapped.lat, snapped.lng, aheadLat, aheadLng);
+        if (heading === null || Math.abs(getHeadingDifference(heading, roadHeading)) < 90) {
+            heading = heading === null ? roadHeading : heading + weight * getHeadingDifference(heading, roadHeading);
+        }
+    }
+
+    return {
+        lat: raw.lat + weight * (snapped.lat - raw.lat),
+        lng: raw.lng + weight * (snapped.lng - raw.lng),
+        heading: heading === null ? null : (heading + 360) % 360
+    };
+}
+
+/**
+ * Guess where the traveler is after losing GPS, by carrying on along the route
+ * Stops short of the destination: arrival should only come from a real fix.
+ * @param {Object} state - App state (needs progress and speed)
+ * @param {number} seconds - Time since the last known position
+ * @returns {Object} {lat, lng, heading}
+ */
+function getDeadReckonedPosition(state, seconds) {
+    const progress = state.progress;
+    const arrivalRadius = (state.destination && state.destination.arrivalRadius) || NAV_CONFIG.arrivalRadius;
+    const limit = Math.max(progress.along, progress.length - 2 * arrivalRadius);
+    const along = Math.min(limit, progress.along + state.speed * seconds);
+
+    const [lat, lng] = getPointAlongRoute(state.routeGeometry, progress.cumulative, along);
+    const [aheadLat, aheadLng] = getPointAlongRoute(state.routeGeometry, progress.cumulative, along + 10);
+
+    return {
+        lat: lat,
+        lng: lng,
+        heading: along < progress.length ? getBearing(lat, lng, aheadLat, aheadLng) : state.heading
+    };
+}
+
 /**
  * Determine which step the user is currently on
+ * The current step is the next maneuver ahead along the route.
  * @param {Object} state - App state
  * @returns {number} Index of current step
  */
 function determineCurrentStep(state) {
-    if (!state.routeSteps || state.routeSteps.length === 0) {
+    if (!state.routeSteps || state.routeSteps.length === 0 || !state.progress) {
         return 0;
     }
 
-    const userPos = state.currentPosition;
+    const { stepOffsets, along } = state.progress;
+    const completionRadius = getNavProfile(state).stepCompletionRadius;
     let currentIndex = state.currentStepIndex;
 
-    // Check if we've reached the current step's maneuver point
-    // (meaning we should advance to show the next instruction)
+    // Advance past every maneuver we've reached or passed, however far we
+    // jumped since the last update (the depart step is behind us from the start)
     while (currentIndex < state.routeSteps.length - 1) {
-        const currentStep = state.routeSteps[currentIndex];
-        const maneuverPoint = currentStep.maneuver.location;
-
-        const distanceToManeuver = getDistanceMeters(
-            userPos.lat, userPos.lng,
-            maneuverPoint.lat, maneuverPoint.lng
-        );
+        const isDepart = state.routeSteps[currentIndex].maneuver.type === 'depart';
 
-        // Skip depart step immediately (we're already past the start)
-        if (currentStep.maneuver.type === 'depart') {
+        if (isDepart || stepOffsets[currentIndex] - along < completionRadius) {
             currentIndex++;
-            console.log(`Skipped depart step, now on step ${currentIndex}`);
-            continue;
-        }
-
-        // If we're within the completion radius of THIS step's maneuver,
-        // we've made this turn, advance to next step
-        if (distanceToManeuver < NAV_CONFIG.stepCompletionRadius) {
-            currentIndex++;
-            console.log(`Completed maneuver, advanced to step ${currentIndex}`);
+            console.log(`Passed maneuver, advanced to step ${currentIndex}`);
         } else {
             break;
         }
@@ -56,94 +241,133 @@ function determineCurrentStep(state) {
 }
 
 /**
- * Get the distance to the next maneuver
+ * Get the distance along the route to a step's maneuver
  * @param {Object} state - App state
+ * @param {number} stepIndex - Step index (defaults to the current step)
  * @returns {number} Distance in meters
  */
-function getDistanceToNextManeuver(state) {
-    if (!state.routeSteps || state.currentStepIndex >= state.routeSteps.length) {
+function getDistanceToNextManeuver(state, stepIndex = state.currentStepIndex) {
+    if (!state.progress || !state.routeSteps || stepIndex >= state.routeSteps.length) {
         return 0;
     }
 
-    const step = state.routeSteps[state.currentStepIndex];
-    const maneuverPoint = step.maneuver.location;
-
-    return getDistanceMeters(
-        state.currentPosition.lat, state.currentPosition.lng,
-        maneuverPoint.lat, maneuverPoint.lng
-    );
+    return Math.max(0, state.progress.stepOffsets[stepIndex] - state.progress.along);
 }
 
 /**
  * Get the current instruction to display
  * @param {Object} state - App state
- * @returns {Object} Instruction object {icon, text, distance}
+ * @returns {Object} Instruction object {icon, text, then, lanes, distance}
  */
 function getCurrentInstruction(state) {
     if (!state.routeSteps || state.routeSteps.length === 0) {
         return {
             icon: '↑',
-            roadName: 'Calculating route...',
+            text: t('nav.calculating'),
+            then: '',
             distance: ''
         };
     }
 
-    const stepIndex = state.currentStepIndex;
-    const currentStep = state.routeSteps[stepIndex];
+    // Offline and off the downloaded route: lead the traveler back onto it
+    if (state.usingOfflineRoute && state.isOffRoute && state.closestRoutePoint) {
+        return getReturnToRouteInstruction(state);
+    }
 
-    // Check if this is the last step (arrival)
-    if (currentStep.maneuver.type === 'arrive') {
-        const distToDest = getDistanceMeters(
-            state.currentPosition.lat, state.currentPosition.lng,
-            state.destination.coordinates.lat, state.destination.coordinates.lng
-        );
+    const profile = getNavProfile(state);
+    const stepIndex = getUpcomingStepIndex(state);
+    const step = state.routeSteps[stepIndex];
+    const distanceToManeuver = getDistanceToNextManeuver(state, stepIndex);
+    const icon = getManeuverIcon(step.maneuver.type, step.maneuver.modifier);
 
+    // Long stretch: "Continue on X for 12 mi", with the upcoming turn underneath
+    if (step.maneuver.type !== 'arrive' && distanceToManeuver > profile.longStretchDistance[getUnits()]) {
+        const currentRoad = state.routeSteps[stepIndex - 1] || step;
         return {
-            icon: '⚑',
-            roadName: 'Arrive at your destination',
-            distance: formatDistance(distToDest)
+            icon: '↑',
+            text: buildContinueInstruction(currentRoad, distanceToManeuver, state.profile),
+            then: buildThenInstruction(step),
+            distance: ''
         };
     }
 
-    // Calculate distance to THIS step's maneuver (the upcoming turn)
-    const distanceToManeuver = getDistanceMeters(
+    // Turn lanes only help once the maneuver is close
+    const showLanes = profile.laneDistance !== null && distanceToManeuver <= profile.laneDistance;
+
+    return {
+        icon: icon,
+        text: buildInstruction(step),
+        then: getThenInstruction(state, stepIndex),
+        lanes: showLanes ? step.lanes : null,
+        distance: formatDistance(distanceToManeuver)
+    };
+}
+
+/**
+ * Get the index of the step whose maneuver comes next
+ * A depart step has already happened by the time we're moving, so this looks
+ * past it to the first turn.
+ * @param {Object} state - App state
+ * @returns {number} Step index
+ */
+function getUpcomingStepIndex(state) {
+    const stepIndex = state.currentStepIndex;
+
+    if (state.routeSteps[stepIndex].maneuver.type === 'depart' && stepIndex + 1 < state.routeSteps.length) {
+        return stepIndex + 1;
+    }
+    return stepIndex;
+}
+
+/**
+ * Get the follow-up line for a maneuver that comes right after another
+ * @param {Object} state - App state
+ * @param {number} stepIndex - Index of the upcoming step
+ * @returns {string} e.g. "Then turn left onto Main St", or '' if the next maneuver isn't close
+ */
+function getThenInstruction(state, stepIndex) {
+    const nextStep = state.routeSteps[stepIndex + 1];
+    if (!nextStep || !state.progress) return '';
+
+    const offsets = state.progress.stepOffsets;
+    if (offsets[stepIndex + 1] - offsets[stepIndex] >= getNavProfile(state).thenDistance) return '';
+
+    return buildThenInstruction(nextStep);
+}
+
+/**
+ * Build an instruction pointing back to the nearest point on the route
+ * Used when there's no network to re-route with.
+ * @param {Object} state - App state
+ * @returns {Object} Instruction object {icon, text, then, distance}
+ */
+function getReturnToRouteInstruction(state) {
+    const target = state.closestRoutePoint;
+    const bearing = getBearing(
         state.currentPosition.lat, state.currentPosition.lng,
-        currentStep.maneuver.location.lat, currentStep.maneuver.location.lng
+        target.lat, target.lng
     );
 
-    // Get maneuver info for CURRENT step (what we're approaching)
-    const icon = getManeuverIcon(currentStep.maneuver.type, currentStep.maneuver.modifier);
-
-    // Determine instruction text
-    let roadName;
-
-    // If it's a depart step, look ahead to next turn
-    if (currentStep.maneuver.type === 'depart') {
-        if (stepIndex + 1 < state.routeSteps.length) {
-            const nextStep = state.routeSteps[stepIndex + 1];
-            const distToNext = getDistanceMeters(
-                state.currentPosition.lat, state.currentPosition.lng,
-                nextStep.maneuver.location.lat, nextStep.maneuver.location.lng
-            );
-            return {
-                icon: getManeuverIcon(nextStep.maneuver.type, nextStep.maneuver.modifier),
-                roadName: nextStep.name || 'the road',
-                distance: formatDistance(distToNext)
-            };
-        }
-        roadName = currentStep.name || 'the road';
-    } else if (distanceToManeuver > NAV_CONFIG.longStretchDistance) {
-        // Long stretch: "Continue on X"
-        roadName = `Continue on ${currentStep.name}`;
+    // Relative to the direction of travel, -180 (left) to 180 (right)
+    const heading = state.heading !== null && !isNaN(state.heading) ? state.heading : bearing;
+    const relative = ((bearing - heading) + 540) % 360 - 180;
+
+    let modifier;
+    if (Math.abs(relative) > 135) {
+        modifier = 'uturn';
+    } else if (Math.abs(relative) < 20) {
+        modifier = 'straight';
+    } else if (Math.abs(relative) < 60) {
+        modifier = relative < 0 ? 'slight left' : 'slight right';
     } else {
-        // Normal: show the turn and road name
-        roadName = currentStep.name || 'the road';
+        modifier = relative < 0 ? 'left' : 'right';
     }
 
     return {
-        icon: icon,
-        roadName: roadName,
-        distance: formatDistance(distanceToManeuver)
+        icon: getManeuverIcon('turn', modifier),
+        text: t('nav.backToRoute'),
+        then: '',
+        distance: formatDistance(state.distanceToRoute)
     };
 }
 
@@ -177,14 +401,19 @@ function getCurrentStepGeometry(state) {
         return [];
     }
 
-    const currentStep = state.routeSteps[state.currentStepIndex];
+    // Draw from where we are on the route, through the upcoming maneuver,
+    // to the end of the road after it
+    if (state.progress && state.routeGeometry && state.routeGeometry.length > 1) {
+        const { cumulative, stepOffsets, along, length } = state.progress;
+        const end = state.currentStepIndex + 1 < stepOffsets.length
+            ? stepOffsets[state.currentStepIndex + 1]
+            : length;
 
-    // If we have step geometry, use it
-    if (currentStep.geometry && currentStep.geometry.length > 0) {
-        // Prepend user's current position for smooth line
+        // Start where the arrow is drawn, so the line leaves from its tip
+        const display = getDisplayPosition(state);
         return [
-            [state.currentPosition.lat, state.currentPosition.lng],
-            ...currentStep.geometry
+            [display.lat, display.lng],
+            ...sliceRouteGeometry(state.routeGeometry, cumulative, along, end)
         ];
     }
 
@@ -198,18 +427,109 @@ function getCurrentStepGeometry(state) {
     ];
 }
 
+/**
+ * Get the marker for the next maneuver: where it is, its arrow, and which way
+ * the road comes into it
+ * Only the next maneuver is ever marked, and never the destination, so the
+ * rest of the route stays a mystery.
+ * @param {Object} state - App state
+ * @returns {Object|null} {lat, lng, icon, bearing}, or null if there's nothing to mark
+ */
+function getManeuverMarker(state) {
+    if (!state.routeSteps || state.routeSteps.length === 0 || state.isOffRoute) return null;
+
+    const stepIndex = getUpcomingStepIndex(state);
+    const step = state.routeSteps[stepIndex];
+    if (step.maneuver.type === 'arrive' || step.maneuver.type === 'depart') return null;
+
+    const { lat, lng } = step.maneuver.location;
+    let bearing = getBearing(state.currentPosition.lat, state.currentPosition.lng, lat, lng);
+
+    // Point the marker along the road leading into the maneuver
+    if (state.progress && state.routeGeometry && state.routeGeometry.length > 1) {
+        const offset = state.progress.stepOffsets[stepIndex];
+        const [fromLat, fromLng] = getPointAlongRoute(state.routeGeometry, state.progress.cumulative, offset - 20);
+        const [toLat, toLng] = getPointAlongRoute(state.routeGeometry, state.progress.cumulative, offset);
+        if (fromLat !== toLat || fromLng !== toLng) {
+            bearing = getBearing(fromLat, fromLng, toLat, toLng);
+        }
+    }
+
+    return {
+        lat: lat,
+        lng: lng,
+        icon: getManeuverIcon(step.maneuver.type, step.maneuver.modifier),
+        bearing: bearing
+    };
+}
+
+/**
+ * Check whether the map should frame the upcoming turn
+ * Each turn is previewed once, as it comes within the profile's previewDistance.
+ * Straight-on maneuvers aren't worth a look.
+ * @param {Object} state - App state
+ * @returns {boolean}
+ */
+function shouldPreviewTurn(state) {
+    const profile = getNavProfile(state);
+    if (profile.previewDistance === null || state.isOffRoute || !state.progress) return false;
+
+    const stepIndex = getUpcomingStepIndex(state);
+    const step = state.routeSteps[stepIndex];
+    const { type, modifier } = step.maneuver;
+    if (step === state.previewedStep || type === 'arrive' || type === 'depart' ||
+        !modifier || modifier === 'straight') {
+        return false;
+    }
+
+    const distance = getDistanceToNextManeuver(state, stepIndex);
+    return distance <= profile.previewDistance && distance > profile.stepCompletionRadius;
+}
+
 /**
  * Update UI with current instruction
  * @param {Object} instruction - Instruction object from getCurrentInstruction
  */
 function updateInstructionUI(instruction) {
     const iconEl = document.getElementById('maneuver-icon');
-    const roadNameEl = document.getElementById('road-name');
+    const textEl = document.getElementById('road-name');
     const distanceEl = document.getElementById('distance-to-turn');
+    const thenEl = document.getElementById('then-instruction');
 
     if (iconEl) iconEl.textContent = instruction.icon;
-    if (roadNameEl) roadNameEl.textContent = instruction.roadName;
+    if (textEl) textEl.textContent = instruction.text;
     if (distanceEl) distanceEl.textContent = instruction.distance;
+    if (thenEl) {
+        thenEl.textContent = instruction.then;
+        thenEl.classList.toggle('active', Boolean(instruction.then));
+    }
+
+    updateLaneUI(instruction.lanes);
+}
+
+/**
+ * Draw the turn lanes for the upcoming maneuver, highlighting the ones to be in
+ * @param {Array|null} lanes - Lanes from left to right as {indications, valid}, or null to hide
+ */
+function updateLaneUI(lanes) {
+    const stripEl = document.getElementById('lane-strip');
+    if (!stripEl) return;
+
+    stripEl.innerHTML = '';
+    stripEl.classList.toggle('active', Boolean(lanes));
+    if (!lanes) return;
+
+    lanes.forEach(lane => {
+        const laneEl = document.createElement('div');
+        laneEl.className = lane.valid ? 'lane valid' : 'lane';
+
+        // 'none' marks a lane without painted arrows, which goes straight on
+        laneEl.textContent = lane.indications
+            .map(indication => getManeuverIcon('turn', indication === 'none' ? 'straight' : indication))
+            .join('');
+
+        stripEl.appendChild(laneEl);
+    });
 }
 
 /**
@@ -219,47 +539,56 @@ function updateInstructionUI(instruction) {
 function updateTripStatsUI(state) {
     const timeEl = document.getElementById('time-remaining');
     const distanceEl = document.getElementById('distance-remaining');
+    const legEl = document.getElementById('leg-progress');
 
     if (!state.destination || !state.currentPosition.lat) {
         return;
     }
 
-    // Calculate remaining route distance by summing remaining steps
+    // Calculate remaining trip distance from progress along this leg plus the later legs
     let distRemaining = 0;
     let timeRemaining = 0;
 
-    if (state.routeSteps && state.routeSteps.length > 0) {
-        // Sum distance/duration of remaining steps
-        for (let i = state.currentStepIndex; i < state.routeSteps.length; i++) {
-            distRemaining += state.routeSteps[i].distance || 0;
-            timeRemaining += state.routeSteps[i].duration || 0;
-        }
+    if (state.routeSteps && state.routeSteps.length > 0 && state.progress) {
+        const { stepOffsets, along, length } = state.progress;
+
+        distRemaining = Math.max(0, length - along);
+
+        // Time for the steps not yet started, plus what's left of the one
+        // we're on (step i runs from its maneuver to the next one)
+        state.routeSteps.forEach((step, i) => {
+            const start = stepOffsets[i];
+            const end = i + 1 < stepOffsets.length ? stepOffsets[i + 1] : length;
 
-        // Subtract progress through current step (approximate)
-        if (state.currentStepIndex < state.routeSteps.length) {
-            const currentStep = state.routeSteps[state.currentStepIndex];
-            const distToManeuver = getDistanceMeters(
-                state.currentPosition.lat, state.currentPosition.lng,
-                currentStep.maneuver.location.lat, currentStep.maneuver.location.lng
-            );
-            // Only count distance to the maneuver point for current step
-            const stepDist = currentStep.distance || 0;
-            if (stepDist > 0 && distToManeuver < stepDist) {
-                distRemaining = distRemaining - stepDist + distToManeuver;
+            if (along <= start) {
+                timeRemaining += step.duration || 0;
+            } else if (along < end) {
+                timeRemaining += (step.duration || 0) * (end - along) / (end - start);
             }
-        }
+        });
+
+        // Add the legs to the stops after this one
+        (state.routeLegs || []).slice(1).forEach(leg => {
+            distRemaining += leg.distance || 0;
+            timeRemaining += leg.duration || 0;
+        });
     } else {
         // Fallback to crow-flies if no route data
         distRemaining = getDistanceMeters(
             state.currentPosition.lat, state.currentPosition.lng,
             state.destination.coordinates.lat, state.destination.coordinates.lng
         );
-        // Estimate time at 30 mph
-        timeRemaining = distRemaining / 13.4;
+        // Estimate time at the profile's typical speed
+        timeRemaining = distRemaining / getNavProfile(state).fallbackSpeed;
     }
 
     if (timeEl) timeEl.textContent = formatDuration(timeRemaining);
     if (distanceEl) distanceEl.textContent = formatDistance(distRemaining);
+    if (legEl) {
+        legEl.textContent = state.stopCount > 1
+            ? t('nav.leg', { number: state.currentStopIndex + 1, count: state.stopCount })
+            : '';
+    }
 }
 
 /**
@@ -277,3 +606,23 @@ function hideRecalculating() {
     const recalcEl = document.getElementById('recalculating');
     if (recalcEl) recalcEl.classList.remove('active');
 }
+
+/**
+ * Show a network problem under the instruction card
+ * @param {string} message - Banner text
+ */
+function showNetworkBanner(message) {
+    const bannerEl = document.getElementById('network-banner');
+    if (!bannerEl) return;
+
+    bannerEl.textContent = message;
+    bannerEl.classList.add('active');
+}
+
+/**
+ * Hide the network banner
+ */
+function hideNetworkBanner() {
+    const bannerEl = document.getElementById('network-banner');
+    if (bannerEl) bannerEl.classList.remove('active');
+}
@@ -0,0 +1,313 @@
+/**
+ * Offline module for Vromp
+ * Downloads a trip's route and the map tiles around it before departure so
+ * navigation keeps working where there's no signal
+ *
+ * The files themselves are stored by the service worker (sw.js); this module
+ * decides what to download and reads the route back when routing fails.
+ */
+
+const OFFLINE_CONFIG = {
+    serviceWorker: 'sw.js',
+    routeDirectory: 'offline/routes', // only exists in the service worker's cache
+    downloadedStorageKey: 'vromp.offlineTrips',
+    corridorWidth: 300, // meters either side of the route to cache tiles for
+    minZoom: 14, // navigation zooms between these two (see MAP_CONFIG.speedZooms)
+    maxZoom: 17,
+    maxTiles: 1500, // higher zoom levels are dropped to stay under this (day and night tiles count together)
+    tileSubdomain: 'a'
+};
+
+/**
+ * Register the service worker
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        console.log('Service workers not supported; offline downloads disabled');
+        return;
+    }
+
+    navigator.serviceWorker.register(OFFLINE_CONFIG.serviceWorker)
+        .then(() => console.log('Service worker registered'))
+        .catch(error => console.warn('Service worker registration failed:', error));
+}
+
+/**
+ * Check whether offline downloads can work in this browser
+ * @returns {boolean}
+ */
+function isOfflineSupported() {
+    return 'serviceWorker' in navigator;
+}
+
+/**
+ * Check whether offline downloads include map tiles
+ * Without a tile style that allows bulk downloads only the route is saved.
+ * @returns {boolean}
+ */
+function canDownloadOfflineTiles() {
+    return getOfflineTileStyles().length > 0;
+}
+
+/**
+ * Get the tile styles whose servers allow downloading tiles in bulk
+ * @returns {Array<Object>} Styles from VROMP_CONFIG.tiles with allowsOffline set
+ */
+function getOfflineTileStyles() {
+    return Object.values(VROMP_CONFIG.tiles).filter(style => style.allowsOffline === true);
+}
+
+/**
+ * Get the key a trip's offline data is stored under
+ * Shared trips have no id, so they are keyed by their stops instead.
+ * @param {Object} offlineTrip - Trip object
+ * @param {string} offlineTripId - Trip id, or null for shared trips
+ * @returns {string} Storage key
+ */
+function getOfflineTripKey(offlineTrip, offlineTripId) {
+    if (offlineTripId) return offlineTripId;
+
+    const text = JSON.stringify(offlineTrip.stops);
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 31 + text.charCodeAt(i)) | 0;
+    }
+
+    return `shared-${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * Download a trip's route and map tiles for offline use
+ * @param {Object} offlineTrip - Trip object
+ * @param {string} key - Key from getOfflineTripKey
+ * @param {Object} position - Departure position {lat, lng}
+ * @param {Function} onProgress - Called with (done, total) as tiles download
+ * @returns {Promise<Object>} {total, failed} tile counts
+ */
+async function downloadTripForOffline(offlineTrip, key, position, onProgress) {
+    const registration = await navigator.serviceWorker.ready;
+    const worker = registration.active;
+
+    if (!worker) {
+        throw new Error(t('offline.notReady'));
+    }
+
+    const route = await fetchTripRoute(position, offlineTrip.stops, offlineTrip);
+    const tileUrls = canDownloadOfflineTiles() ? getCorridorTileUrls(route.geometry) : [];
+
+    console.log(`Downloading ${route.legs.length} legs and ${tileUrls.length} tiles for offline use...`);
+
+    const result = await new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+
+        channel.port1.onmessage = (event) => {
+            const message = event.data;
+
+            if (message.type === 'progress') {
+                onProgress(message.done, message.total);
+            } else if (message.type === 'done') {
+                resolve({ total: message.total, failed: message.failed });
+            } else if (message.type === 'error') {
+                reject(new Error(message.message));
+            }
+        };
+
+        worker.postMessage({
+            type: 'download-trip',
+            routeUrl: getOfflineRouteUrl(key),
+            route: route,
+            tileUrls: tileUrls
+        }, [channel.port2]);
+    });
+
+    markTripDownloaded(key);
+    return result;
+}
+
+/**
+ * Load a downloaded route, trimmed to the stops still to visit
+ * @param {string} key - Key from getOfflineTripKey
+ * @param {number} fromStopIndex - Index of the current destination
+ * @returns {Promise<Object|null>} Route through the remaining stops, or null if none was downloaded
+ */
+async function loadOfflineRoute(key, fromStopIndex) {
+    if (!isTripDownloaded(key)) return null;
+
+    let route;
+    try {
+        const response = await fetch(getOfflineRouteUrl(key));
+        if (!response.ok) return null;
+        route = await response.json();
+    } catch (error) {
+        console.warn('Could not read offline route:', error);
+        return null;
+    }
+
+    // Leg i always leads to stop i, so the remaining legs start at the current stop
+    const legs = route.legs.slice(fromStopIndex);
+    if (legs.length === 0) return null;
+
+    return buildRoute(
+        legs,
+        legs.flatMap(leg => leg.geometry),
+        legs.reduce((sum, leg) => sum + leg.distance, 0),
+        legs.reduce((sum, leg) => sum + leg.duration, 0)
+    );
+}
+
+/**
+ * Get the URL a trip's route is stored under
+ * @param {string} key - Key from getOfflineTripKey
+ * @returns {string} Absolute URL
+ */
+function getOfflineRouteUrl(key) {
+    return new URL(`${OFFLINE_CONFIG.routeDirectory}/${key}.json`, window.location.href).href;
+}
+
+/**
+ * List the tile URLs in a corridor around a route
+ * Covers OFFLINE_CONFIG.minZoom up to OFFLINE_CONFIG.maxZoom in every style
+ * that allows offline use (day and night, since the trip may run past
+ * sunset), stopping before the zoom level that would go over
+ * OFFLINE_CONFIG.maxTiles.
+ * @param {Array} geometry - Route geometry as [lat, lng] points
+ * @returns {Array<string>} Tile URLs
+ */
+function getCorridorTileUrls(geometry) {
+    const urls = [];
+    const styles = getOfflineTileStyles();
+
+    for (let zoom = OFFLINE_CONFIG.minZoom; zoom <= OFFLINE_CONFIG.maxZoom; zoom++) {
+        const tiles = getCorridorTiles(geometry, zoom);
+        const count = tiles.length * styles.length;
+
+        if (urls.length + count > OFFLINE_CONFIG.maxTiles) {
+            console.log(`Offline tiles stop at zoom ${zoom - 1} (zoom ${zoom} would need ${count} more)`);
+            break;
+        }
+
+        styles.forEach(style => {
+            tiles.forEach(tile => urls.push(getTileUrl(tile, style)));
+        });
+    }
+
+    return urls;
+}
+
+/**
+ * Find the tiles at one zoom level within the corridor around a route
+ * @param {Array} geometry - Route geometry as [lat, lng] points
+ * @param {number} zoom - Zoom level
+ * @returns {Array} Tiles {x, y, z}
+ */
+function getCorridorTiles(geometry, zoom) {
+    const keys = new Set();
+    const width = OFFLINE_CONFIG.corridorWidth;
+
+    // Sample often enough that no tile along the line is skipped
+    const tileMeters = 40075016 / Math.pow(2, zoom);
+    const sampleSpacing = Math.min(tileMeters / 2, width);
+
+    const addAround = (lat, lng) => {
+        const dLat = width / 111320;
+        const dLng = width / (111320 * Math.cos(toRad(lat)));
+        const topLeft = getTileCoordinates(lat + dLat, lng - dLng, zoom);
+        const bottomRight = getTileCoordinates(lat - dLat, lng + dLng, zoom);
+
+        for (let x = topLeft.x; x <= bottomRight.x; x++) {
+            for (let y = topLeft.y; y <= bottomRight.y; y++) {
+                keys.add(`${x}/${y}`);
+            }
+        }
+    };
+
+    for (let i = 0; i < geometry.length; i++) {
+        const [lat, lng] = geometry[i];
+        addAround(lat, lng);
+
+        if (i + 1 < geometry.length) {
+            const [nextLat, nextLng] = geometry[i + 1];
+            const samples = Math.floor(getDistanceMeters(lat, lng, nextLat, nextLng) / sampleSpacing);
+
+            for (let s = 1; s <= samples; s++) {
+                const fraction = s / (samples + 1);
+                addAround(lat + (nextLat - lat) * fraction, lng + (nextLng - lng) * fraction);
+            }
+        }
+    }
+
+    return Array.from(keys).map(key => {
+        const [x, y] = key.split('/').map(Number);
+        return { x, y, z: zoom };
+    });
+}
+
+/**
+ * Convert a position to slippy-map tile coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} zoom - Zoom level
+ * @returns {Object} {x, y}
+ */
+function getTileCoordinates(lat, lng, zoom) {
+    const n = Math.pow(2, zoom);
+    const latRad = toRad(lat);
+
+    return {
+        x: Math.floor((lng + 180) / 360 * n),
+        y: Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n)
+    };
+}
+
+/**
+ * Fill in a tile style's URL template for one tile
+ * @param {Object} tile - {x, y, z}
+ * @param {Object} style - Tile style from VROMP_CONFIG.tiles
+ * @returns {string} Tile URL
+ */
+function getTileUrl(tile, style) {
+    return style.url
+        .replace('{s}', (style.subdomains || OFFLINE_CONFIG.tileSubdomain)[0])
+        .replace('{z}', tile.z)
+        .replace('{x}', tile.x)
+        .replace('{y}', tile.y)
+        .replace('{r}', '');
+}
+
+/**
+ * Check whether a trip has been downloaded on this device
+ * @param {string} key - Key from getOfflineTripKey
+ * @returns {boolean}
+ */
+function isTripDownloaded(key) {
+    return getDownloadedTrips().includes(key);
+}
+
+/**
+ * Get the keys of trips downloaded on this device
+ * @returns {Array<string>} Trip keys
+ */
+function getDownloadedTrips() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(OFFLINE_CONFIG.downloadedStorageKey));
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Remember that a trip was downloaded
+ * @param {string} key - Key from getOfflineTripKey
+ */
+function markTripDownloaded(key) {
+    const downloaded = getDownloadedTrips();
+    if (downloaded.includes(key)) return;
+
+    downloaded.push(key);
+    try {
+        localStorage.setItem(OFFLINE_CONFIG.downloadedStorageKey, JSON.stringify(downloaded));
+    } catch (error) {
+        console.warn('Could not save downloaded trip:', error);
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * Position filter module for Vromp
+ * Cleans up raw GPS fixes before navigation sees them
+ *
+ * - Fixes that are too imprecise, or that would mean moving impossibly fast,
+ *   are dropped.
+ * - The rest are smoothed with a simple Kalman filter, so urban GPS jitter
+ *   doesn't make the arrow jump or set off the off-route timer. The estimate
+ *   is carried forward at the recent velocity first so it doesn't lag behind.
+ * - Devices that don't report a heading get one computed from recent fixes.
+ */
+
+const POSITION_FILTER_CONFIG = {
+    maxAccuracy: 80, // meters - drop fixes less precise than this
+    maxRejections: 5, // accept the next fix anyway after this many drops in a row
+    processNoise: 3, // m/s - how far the true position may drift between fixes
+    velocitySmoothing: 0.5, // weight of the newest fix-to-fix velocity (0-1)
+    headingMinDistance: 8, // meters moved before a computed heading is trusted
+    staleAfter: 30000 // ms - after a gap this long, start over from the next fix
+};
+
+// Filter state; null until the first fix
+let filterEstimate = null; // {lat, lng, variance, timestamp} with variance in m²
+let filterLastFix = null; // Last accepted raw fix {lat, lng, timestamp}
+let filterVelocity = null; // Recent velocity {lat, lng} in degrees per second
+let filterHeadingAnchor = null; // Where the computed heading is measured from {lat, lng}
+let filterHeading = null;
+let filterRejections = 0;
+
+/**
+ * Filter one geolocation fix
+ * @param {GeolocationPosition} position - Fix from the Geolocation API
+ * @param {number} maxSpeed - Fastest plausible speed in m/s for the travel profile
+ * @returns {Object|null} Filtered {lat, lng, heading, speed, accuracy}, or null if the fix was dropped
+ */
+function filterPosition(position, maxSpeed) {
+    const { latitude, longitude, heading, speed, accuracy } = position.coords;
+    const timestamp = position.timestamp || Date.now();
+
+    if (filterEstimate && timestamp - filterEstimate.timestamp > POSITION_FILTER_CONFIG.staleAfter) {
+        resetPositionFilter();
+    }
+
+    if (filterEstimate && filterRejections < POSITION_FILTER_CONFIG.maxRejections) {
+        const problem = getFixProblem(latitude, longitude, accuracy, timestamp, maxSpeed);
+        if (problem) {
+            filterRejections++;
+            console.log(`Dropped GPS fix: ${problem}`);
+            return null;
+        }
+    }
+
+    filterRejections = 0;
+    const impliedSpeed = getImpliedSpeed(latitude, longitude, timestamp);
+    updateVelocity(latitude, longitude, timestamp);
+    filterLastFix = { lat: latitude, lng: longitude, timestamp: timestamp };
+
+    updateEstimate(latitude, longitude, accuracy, timestamp);
+
+    return {
+        lat: filterEstimate.lat,
+        lng: filterEstimate.lng,
+        heading: getFilteredHeading(heading, speed),
+        speed: speed !== null && speed !== undefined && !isNaN(speed) ? speed : impliedSpeed,
+        accuracy: Math.sqrt(filterEstimate.variance)
+    };
+}
+
+/**
+ * Check a fix for signs that it's wrong
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} accuracy - Reported accuracy in meters
+ * @param {number} timestamp - Fix time in ms
+ * @param {number} maxSpeed - Fastest plausible speed in m/s
+ * @returns {string|null} What's wrong with it, or null if it looks fine
+ */
+function getFixProblem(lat, lng, accuracy, timestamp, maxSpeed) {
+    if (accuracy > POSITION_FILTER_CONFIG.maxAccuracy) {
+        return `accuracy ${Math.round(accuracy)} m`;
+    }
+
+    const impliedSpeed = getImpliedSpeed(lat, lng, timestamp);
+    if (impliedSpeed !== null && impliedSpeed > maxSpeed) {
+        return `implied speed ${Math.round(impliedSpeed)} m/s`;
+    }
+
+    return null;
+}
+
+/**
+ * Get the speed needed to get from the last accepted fix to this one
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} timestamp - Fix time in ms
+ * @returns {number|null} Speed in m/s, or null without an earlier fix
+ */
+function getImpliedSpeed(lat, lng, timestamp) {
+    if (!filterLastFix) return null;
+
+    const seconds = (timestamp - filterLastFix.timestamp) / 1000;
+    if (seconds <= 0) return null;
+
+    return getDistanceMeters(filterLastFix.lat, filterLastFix.lng, lat, lng) / seconds;
+}
+
+/**
+ * Track how fast the raw fixes are moving, for predicting the next one
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} timestamp - Fix time in ms
+ */
+function updateVelocity(lat, lng, timestamp) {
+    if (!filterLastFix) return;
+
+    const seconds = (timestamp - filterLastFix.timestamp) / 1000;
+    if (seconds <= 0) return;
+
+    const latest = { lat: (lat - filterLastFix.lat) / seconds, lng: (lng - filterLastFix.lng) / seconds };
+    const weight = filterVelocity ? POSITION_FILTER_CONFIG.velocitySmoothing : 1;
+
+    filterVelocity = {
+        lat: filterVelocity ? filterVelocity.lat + weight * (latest.lat - filterVelocity.lat) : latest.lat,
+        lng: filterVelocity ? filterVelocity.lng + weight * (latest.lng - filterVelocity.lng) : latest.lng
+    };
+}
+
+/**
+ * Blend a fix into the position estimate
+ * The estimate is first moved on at the recent velocity; its uncertainty grows
+ * with time since the last fix and shrinks with each measurement, weighted by
+ * how accurate the device says the fix is.
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} accuracy - Reported accuracy in meters
+ * @param {number} timestamp - Fix time in ms
+ */
+function updateEstimate(lat, lng, accuracy, timestamp) {
+    const measurementVariance = Math.max(accuracy || 1, 1) ** 2;
+
+    if (!filterEstimate) {
+        filterEstimate = { lat: lat, lng: lng, variance: measurementVariance, timestamp: timestamp };
+        return;
+    }
+
+    const seconds = Math.max(0, (timestamp - filterEstimate.timestamp) / 1000);
+    const predictedLat = filterEstimate.lat + (filterVelocity ? filterVelocity.lat * seconds : 0);
+    const predictedLng = filterEstimate.lng + (filterVelocity ? filterVelocity.lng * seconds : 0);
+    const variance = filterEstimate.variance + seconds * POSITION_FILTER_CONFIG.processNoise ** 2;
+    const gain = variance / (variance + measurementVariance);
+
+    filterEstimate = {
+        lat: predictedLat + gain * (lat - predictedLat),
+        lng: predictedLng + gain * (lng - predictedLng),
+        variance: (1 - gain) * variance,
+        timestamp: timestamp
+    };
+}
+
+/**
+ * Get the direction of travel
+ * Uses the device's heading when it has one; otherwise the bearing between
+ * filtered positions far enough apart for the direction to mean something.
+ * @param {number|null} heading - Heading reported by the device
+ * @param {number|null} speed - Speed reported by the device
+ * @returns {number|null} Degrees clockwise from north, or null if unknown
+ */
+function getFilteredHeading(heading, speed) {
+    const current = { lat: filterEstimate.lat, lng: filterEstimate.lng };
+
+    // Devices report heading as NaN or null when standing still
+    if (heading !== null && heading !== undefined && !isNaN(heading) && speed > 0) {
+        filterHeading = heading;
+        filterHeadingAnchor = current;
+        return heading;
+    }
+
+    if (!filterHeadingAnchor) {
+        filterHeadingAnchor = current;
+        return filterHeading;
+    }
+
+    const moved = getDistanceMeters(filterHeadingAnchor.lat, filterHeadingAnchor.lng, current.lat, current.lng);
+    if (moved >= POSITION_FILTER_CONFIG.headingMinDistance) {
+        filterHeading = getBearing(filterHeadingAnchor.lat, filterHeadingAnchor.lng, current.lat, current.lng);
+        filterHeadingAnchor = current;
+    }
+
+    return filterHeading;
+}
+
+/**
+ * Forget all earlier fixes, e.g. when a trip ends
+ */
+function resetPositionFilter() {
+    filterEstimate = null;
+    filterLastFix = null;
+    filterVelocity = null;
+    filterHeadingAnchor = null;
+    filterHeading = null;
+    filterRejections = 0;
+}
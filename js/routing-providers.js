@@ -0,0 +1,666 @@
+/**
+ * Routing provider adapters for Vromp
+ * Each provider fetches a route from one kind of routing server and
+ * normalizes it into the app's route format:
+ *
+ *   {
+ *     distance,  // meters, whole route
+ *     duration,  // seconds, whole route
+ *     geometry,  // [[lat, lng], ...], whole route
+ *     steps,     // every leg's steps, in order
+ *     legs: [{distance, duration, geometry, steps}]  // one per pair of waypoints
+ *   }
+ *
+ * A step is {index, maneuver: {type, modifier, location: {lat, lng}, exit}, name, ref,
+ * destinations, exits, rotaryName, lanes, distance, duration, geometry}, with index
+ * counted from the start of its leg. name is '' for unnamed roads; exit (roundabout
+ * exit number), ref (route number), destinations (signposted places), exits (exit
+ * numbers), rotaryName and lanes are null when unknown. lanes lists the lanes at
+ * the maneuver from left to right as {indications: ['left', 'straight', ...], valid},
+ * where valid lanes are the ones that lead onto the route.
+ *
+ * Maneuver types and modifiers follow OSRM's vocabulary, so providers that
+ * use other names map onto it.
+ *
+ * Provider interface:
+ *   defaultBaseUrl            - server root used when none is configured
+ *                               (a string, or {driving, walking, cycling} for per-profile servers)
+ *   requestRoute(waypoints, settings) - fetch the raw response for [{lat, lng}, ...] (2 or more);
+ *                               settings are {baseUrl, apiKey, profile, preferences}. A waypoint may
+ *                               carry {heading, headingTolerance} in degrees: the
+ *                               direction the route should leave it in.
+ *   normalizeRoute(response)  - convert the raw response into the app's format
+ *
+ * Profiles are the app's travel profiles: 'driving', 'walking' or 'cycling'.
+ * Preferences are {avoid: [...], scenic}, where avoid may hold 'motorways',
+ * 'tolls' and 'ferries'. Avoidance is strict where the server supports it;
+ * scenic is a soft preference for smaller roads.
+ *
+ * Failures are thrown as route errors (see createRouteError) so the app can
+ * tell a dead zone from a busy server from an unreachable destination.
+ */
+
+// Kinds of route error, each handled differently by the app
+const ROUTE_ERRORS = {
+    offline: 'offline',          // no network, or the server didn't answer in time
+    rateLimited: 'rate-limited', // HTTP 429
+    noRoute: 'no-route',         // the server can't connect the waypoints
+    invalidRequest: 'invalid-request', // HTTP 400 for another reason, e.g. an option the server doesn't support
+    server: 'server'             // anything else the server got wrong
+};
+
+const ROUTING_PROVIDERS = {
+    osrm: {
+        // The public demo server only routes cars; FOSSGIS hosts foot and bike
+        defaultBaseUrl: {
+            driving: 'https://router.project-osrm.org',
+            walking: 'https://routing.openstreetmap.de/routed-foot',
+            cycling: 'https://routing.openstreetmap.de/routed-bike'
+        },
+        profiles: { driving: 'driving', walking: 'foot', cycling: 'bike' },
+
+        async requestRoute(waypoints, settings) {
+            const coordinates = waypoints.map(point => `${point.lng},${point.lat}`).join(';');
+            const profile = this.profiles[settings.profile];
+            const { avoid, scenic } = settings.preferences;
+            let url = `${settings.baseUrl}/route/v1/${profile}/${coordinates}?overview=full&steps=true&geometries=polyline`;
+
+            // Only combinations the server's profile declares are accepted
+            const exclude = getOsrmExclude(avoid, settings.profile);
+            if (exclude.length > 0) {
+                url += `&exclude=${exclude.join(',')}`;
+            }
+
+            // OSRM has no scenic option, so pick from the alternatives instead
+            if (scenic && waypoints.length === 2) {
+                url += '&alternatives=3';
+            }
+
+            if (waypoints.some(point => point.heading !== undefined)) {
+                const bearings = waypoints.map(point => point.heading !== undefined
+                    ? `${point.heading},${point.headingTolerance}`
+                    : '');
+                url += `&bearings=${bearings.join(';')}`;
+            }
+
+            const data = await fetchRoutingJson(url, 'OSRM');
+
+            if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+                throw createRouteError(ROUTE_ERRORS.noRoute, 'No route found');
+            }
+
+            if (scenic && data.routes.length > 1) {
+                const pick = pickScenicOsrmRoute(data.routes);
+                data.routes = [pick, ...data.routes.filter(route => route !== pick)];
+            }
+
+            return data;
+        },
+
+        normalizeRoute(data) {
+            return parseOsrmRoute(data.routes[0]);
+        }
+    },
+
+    valhalla: {
+        defaultBaseUrl: 'http://localhost:8002',
+        profiles: { driving: 'auto', walking: 'pedestrian', cycling: 'bicycle' },
+
+        async requestRoute(waypoints, settings) {
+            const request = {
+                locations: waypoints.map(point => point.heading !== undefined
+                    ? { lat: point.lat, lon: point.lng, heading: point.heading, heading_tolerance: point.headingTolerance }
+                    : { lat: point.lat, lon: point.lng }),
+                costing: this.profiles[settings.profile],
+                directions_options: { units: 'kilometers' }
+            };
+
+            const costingOptions = buildValhallaCostingOptions(settings.preferences);
+            if (costingOptions) {
+                request.costing_options = { [request.costing]: costingOptions };
+            }
+            const url = `${settings.baseUrl}/route?json=${encodeURIComponent(JSON.stringify(request))}`;
+
+            const data = await fetchRoutingJson(url, 'Valhalla');
+
+            if (!data.trip || !data.trip.legs || data.trip.legs.length === 0) {
+                throw createRouteError(ROUTE_ERRORS.noRoute, 'No route found');
+            }
+
+            return data;
+        },
+
+        normalizeRoute(data) {
+            return parseValhallaRoute(data.trip);
+        }
+    },
+
+    graphhopper: {
+        defaultBaseUrl: 'http://localhost:8989',
+        profiles: { driving: 'car', walking: 'foot', cycling: 'bike' },
+
+        // POSTed, because custom models (used for preferences) can't go in a GET
+        async requestRoute(waypoints, settings) {
+            const request = {
+                profile: this.profiles[settings.profile],
+                points: waypoints.map(point => [point.lng, point.lat]),
+                points_encoded: true,
+                instructions: true,
+                locale: 'en'
+            };
+
+            // Headings and custom models both need the flexible (non-CH) mode.
+            // GraphHopper takes a heading for the first point alone.
+            if (waypoints[0].heading !== undefined) {
+                request.headings = [waypoints[0].heading];
+                request['ch.disable'] = true;
+            }
+
+            const customModel = buildGraphHopperCustomModel(settings.preferences);
+            if (customModel) {
+                request.custom_model = customModel;
+                request['ch.disable'] = true;
+            }
+
+            const keyParam = settings.apiKey ? `?key=${encodeURIComponent(settings.apiKey)}` : '';
+            const data = await fetchRoutingJson(`${settings.baseUrl}/route${keyParam}`, 'GraphHopper', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request)
+            });
+
+            if (!data.paths || data.paths.length === 0) {
+                throw createRouteError(ROUTE_ERRORS.noRoute, 'No route found');
+            }
+
+            return data;
+        },
+
+        normalizeRoute(data) {
+            return parseGraphHopperRoute(data.paths[0]);
+        }
+    },
+
+    // For testing without a routing server: replays a saved OSRM response
+    // from baseUrl, or draws a straight line between the waypoints
+    fixture: {
+        defaultBaseUrl: null,
+
+        async requestRoute(waypoints, settings) {
+            if (settings.baseUrl) {
+                return fetchRoutingJson(settings.baseUrl, 'Fixture');
+            }
+            return buildStraightLineResponse(waypoints, settings.profile);
+        },
+
+        normalizeRoute(data) {
+            return parseOsrmRoute(data.routes[0]);
+        }
+    }
+};
+
+/**
+ * Create a classified route error
+ * @param {string} kind - One of ROUTE_ERRORS
+ * @param {string} message - Error message (for the console, not the user)
+ * @param {number} retryAfter - Optional ms the server asked us to wait
+ * @returns {Error} Error with `kind` (and `retryAfter`) set
+ */
+function createRouteError(kind, message, retryAfter) {
+    const error = new Error(message);
+    error.kind = kind;
+    if (retryAfter) {
+        error.retryAfter = retryAfter;
+    }
+    return error;
+}
+
+/**
+ * Fetch JSON from a routing server
+ * Gives up after VROMP_CONFIG.routing.timeout and throws route errors.
+ * @param {string} url - Request URL
+ * @param {string} label - Provider name for error messages
+ * @param {Object} init - Optional fetch options (method, headers, body)
+ * @returns {Promise<Object>} Parsed JSON body
+ */
+async function fetchRoutingJson(url, label, init = {}) {
+    const timeout = VROMP_CONFIG.routing.timeout;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        let response;
+        try {
+            response = await fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            const reason = error.name === 'AbortError' ? `no answer after ${timeout} ms` : error.message;
+            throw createRouteError(ROUTE_ERRORS.offline, `${label} unreachable: ${reason}`);
+        }
+
+        if (response.status === 429) {
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+            throw createRouteError(
+                ROUTE_ERRORS.rateLimited,
+                `${label} API rate limit reached`,
+                retryAfter > 0 ? retryAfter * 1000 : null
+            );
+        }
+
+        // Every supported server answers 400 both when it can't connect the
+        // waypoints and when it doesn't like the request; the body tells which
+        if (response.status === 400) {
+            const body = await response.json().catch(() => null);
+            const kind = !body || isNoRouteResponse(body) ? ROUTE_ERRORS.noRoute : ROUTE_ERRORS.invalidRequest;
+            const detail = body && (body.message || body.error) ? `: ${body.message || body.error}` : '';
+            throw createRouteError(kind, `${label} API error: 400${detail}`);
+        }
+
+        if (!response.ok) {
+            throw createRouteError(ROUTE_ERRORS.server, `${label} API error: ${response.status}`);
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            const kind = error.name === 'AbortError' ? ROUTE_ERRORS.offline : ROUTE_ERRORS.server;
+            throw createRouteError(kind, `${label} API response could not be read: ${error.message}`);
+        }
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Route preference -> OSRM exclude class
+const OSRM_EXCLUDE_CLASSES = {
+    motorways: 'motorway',
+    tolls: 'toll',
+    ferries: 'ferry'
+};
+
+// Exclude combinations each OSRM profile declares ("excludable" in its .lua).
+// OSRM rejects any other combination. These match the stock profiles: car
+// declares single classes only, foot and bike none. Add combinations here if
+// your server's profile declares them, e.g. ['motorway', 'toll'].
+const OSRM_EXCLUDABLE = {
+    driving: [['motorway'], ['toll'], ['ferry']],
+    walking: [],
+    cycling: []
+};
+
+// 400 responses that mean the waypoints can't be connected
+const NO_ROUTE_CODES = {
+    osrm: ['NoRoute', 'NoSegment'],
+    valhalla: [170, 171, 442], // unconnected regions, no edges near a location, no path
+    graphhopper: /connection between locations not found|cannot find point/i
+};
+
+/**
+ * Choose the OSRM exclude classes to send for the avoid preferences
+ * Sends the largest combination the profile declares; classes that can't be
+ * included are dropped with a warning rather than failing the request.
+ * @param {Array<string>} avoid - Route preferences to avoid, e.g. ['motorways', 'tolls']
+ * @param {string} profile - Travel profile
+ * @returns {Array<string>} Exclude classes, possibly empty
+ */
+function getOsrmExclude(avoid, profile) {
+    const wanted = avoid.map(item => OSRM_EXCLUDE_CLASSES[item]);
+    if (wanted.length === 0) return [];
+
+    const best = (OSRM_EXCLUDABLE[profile] || [])
+        .filter(combination => combination.every(item => wanted.includes(item)))
+        .reduce((largest, combination) => combination.length > largest.length ? combination : largest, []);
+
+    const dropped = wanted.filter(item => !best.includes(item));
+    if (dropped.length > 0) {
+        console.warn(`OSRM ${profile} profile can't also exclude ${dropped.join(', ')}; routing through them`);
+    }
+
+    return best;
+}
+
+/**
+ * Check whether a 400 response body means no route exists
+ * @param {Object} body - Parsed response body
+ * @returns {boolean}
+ */
+function isNoRouteResponse(body) {
+    return NO_ROUTE_CODES.osrm.includes(body.code) ||
+        NO_ROUTE_CODES.valhalla.includes(body.error_code) ||
+        NO_ROUTE_CODES.graphhopper.test(body.message || '');
+}
+
+// Scenic picks may take at most this much longer than the fastest route
+const SCENIC_MAX_SLOWDOWN = 1.4;
+
+/**
+ * Pick the most scenic of OSRM's alternative routes
+ * OSRM says nothing about road types, so the slowest average speed (more
+ * back roads) stands in for scenery, among routes that don't take too long.
+ * @param {Array} routes - OSRM routes, fastest first
+ * @returns {Object} Chosen OSRM route
+ */
+function pickScenicOsrmRoute(routes) {
+    const fastest = Math.min(...routes.map(route => route.duration));
+
+    return routes
+        .filter(route => route.duration <= fastest * SCENIC_MAX_SLOWDOWN)
+        .reduce((best, route) =>
+            route.distance / route.duration < best.distance / best.duration ? route : best
+        );
+}
+
+/**
+ * Build Valhalla costing options for route preferences
+ * Valhalla's use_* options run from 0 (avoid) to 1 (prefer).
+ * @param {Object} preferences - {avoid, scenic}
+ * @returns {Object|null} Costing options, or null for the defaults
+ */
+function buildValhallaCostingOptions(preferences) {
+    const options = {};
+
+    if (preferences.scenic) options.use_highways = 0.2;
+    if (preferences.avoid.includes('motorways')) options.use_highways = 0;
+    if (preferences.avoid.includes('tolls')) options.use_tolls = 0;
+    if (preferences.avoid.includes('ferries')) options.use_ferry = 0;
+
+    return Object.keys(options).length > 0 ? options : null;
+}
+
+/**
+ * Build a GraphHopper custom model for route preferences
+ * @param {Object} preferences - {avoid, scenic}
+ * @returns {Object|null} Custom model, or null for the defaults
+ */
+function buildGraphHopperCustomModel(preferences) {
+    const priority = [];
+
+    if (preferences.avoid.includes('motorways')) {
+        priority.push({ if: 'road_class == MOTORWAY', multiply_by: '0' });
+    } else if (preferences.scenic) {
+        priority.push({ if: 'road_class == MOTORWAY', multiply_by: '0.3' });
+    }
+    if (preferences.scenic) {
+        priority.push({ if: 'road_class == TRUNK || road_class == PRIMARY', multiply_by: '0.6' });
+    }
+    if (preferences.avoid.includes('tolls')) {
+        priority.push({ if: 'toll != NO', multiply_by: '0' });
+    }
+    if (preferences.avoid.includes('ferries')) {
+        priority.push({ if: 'road_environment == FERRY', multiply_by: '0' });
+    }
+
+    return priority.length > 0 ? { priority: priority } : null;
+}
+
+/**
+ * Parse OSRM route response into app-friendly format
+ * @param {Object} route - OSRM route object
+ * @returns {Object} Parsed route data
+ */
+function parseOsrmRoute(route) {
+    const legs = route.legs.map(leg => {
+        const steps = leg.steps.map((step, index) => {
+            return {
+                index: index,
+                maneuver: {
+                    type: step.maneuver.type,
+                    modifier: step.maneuver.modifier || null,
+                    location: {
+                        lat: step.maneuver.location[1],
+                        lng: step.maneuver.location[0]
+                    },
+                    exit: step.maneuver.exit || null
+                },
+                name: step.name || '',
+                ref: step.ref || null,
+                destinations: step.destinations || null,
+                exits: step.exits || null,
+                rotaryName: step.rotary_name || null,
+                lanes: parseOsrmLanes(step),
+                distance: step.distance, // meters
+                duration: step.duration, // seconds
+                geometry: step.geometry ? decodePolyline(step.geometry) : []
+            };
+        });
+
+        return buildRouteLeg(steps, leg.distance, leg.duration);
+    });
+
+    return buildRoute(legs, decodePolyline(route.geometry), route.distance, route.duration);
+}
+
+/**
+ * Get the turn lanes at an OSRM step's maneuver
+ * @param {Object} step - OSRM route step
+ * @returns {Array|null} Lanes from left to right as {indications, valid}, or null if unknown
+ */
+function parseOsrmLanes(step) {
+    const intersection = step.intersections && step.intersections[0];
+    if (!intersection || !intersection.lanes || intersection.lanes.length === 0) return null;
+
+    return intersection.lanes.map(lane => ({
+        indications: lane.indications,
+        valid: lane.valid
+    }));
+}
+
+/**
+ * Build a normalized leg, joining its step geometries into the leg geometry
+ * @param {Array} steps - Normalized steps
+ * @param {number} distance - Leg distance in meters
+ * @param {number} duration - Leg duration in seconds
+ * @returns {Object} {distance, duration, geometry, steps}
+ */
+function buildRouteLeg(steps, distance, duration) {
+    const geometry = [];
+
+    steps.forEach(step => {
+        step.geometry.forEach((point, i) => {
+            // Each step starts where the previous one ended
+            const last = geometry[geometry.length - 1];
+            if (i === 0 && last && last[0] === point[0] && last[1] === point[1]) return;
+            geometry.push(point);
+        });
+    });
+
+    return { distance, duration, geometry, steps };
+}
+
+/**
+ * Build a normalized route from its legs
+ * @param {Array} legs - Normalized legs
+ * @param {Array} geometry - Whole route geometry
+ * @param {number} distance - Total distance in meters
+ * @param {number} duration - Total duration in seconds
+ * @returns {Object} Parsed route data
+ */
+function buildRoute(legs, geometry, distance, duration) {
+    return {
+        distance: distance,
+        duration: duration,
+        geometry: geometry,
+        steps: legs.reduce((all, leg) => all.concat(leg.steps), []),
+        legs: legs
+    };
+}
+
+// Valhalla maneuver type number -> OSRM maneuver type/modifier
+const VALHALLA_MANEUVERS = {
+    1: ['depart', null], 2: ['depart', 'right'], 3: ['depart', 'left'],
+    4: ['arrive', null], 5: ['arrive', 'right'], 6: ['arrive', 'left'],
+    7: ['new name', 'straight'], 8: ['continue', 'straight'],
+    9: ['turn', 'slight right'], 10: ['turn', 'right'], 11: ['turn', 'sharp right'],
+    12: ['turn', 'uturn'], 13: ['turn', 'uturn'],
+    14: ['turn', 'sharp left'], 15: ['turn', 'left'], 16: ['turn', 'slight left'],
+    17: ['on ramp', 'straight'], 18: ['on ramp', 'right'], 19: ['on ramp', 'left'],
+    20: ['off ramp', 'right'], 21: ['off ramp', 'left'],
+    22: ['fork', 'straight'], 23: ['fork', 'right'], 24: ['fork', 'left'],
+    25: ['merge', 'straight'],
+    26: ['roundabout', 'straight'], 27: ['exit roundabout', 'straight'],
+    28: ['notification', 'straight'], 29: ['notification', 'straight'],
+    37: ['merge', 'right'], 38: ['merge', 'left']
+};
+
+/**
+ * Join the texts of one kind of Valhalla sign element
+ * @param {Object} sign - Valhalla maneuver `sign` (may be undefined)
+ * @param {string} field - e.g. 'exit_number_elements'
+ * @returns {string|null} Texts joined OSRM-style with ', ', or null
+ */
+function getValhallaSignText(sign, field) {
+    const elements = sign && sign[field];
+    if (!elements || elements.length === 0) return null;
+
+    return elements.map(element => element.text).join(', ');
+}
+
+/**
+ * Parse a Valhalla trip into app-friendly format
+ * @param {Object} valhallaTrip - Valhalla `trip` object (units: kilometers)
+ * @returns {Object} Parsed route data
+ */
+function parseValhallaRoute(valhallaTrip) {
+    const legs = valhallaTrip.legs.map(leg => {
+        const geometry = decodePolyline(leg.shape, 6);
+
+        const steps = leg.maneuvers.map((maneuver, index) => {
+            const [type, modifier] = VALHALLA_MANEUVERS[maneuver.type] || ['turn', 'straight'];
+            const start = geometry[maneuver.begin_shape_index] || geometry[0];
+
+            return {
+                index: index,
+                maneuver: {
+                    type: type,
+                    modifier: modifier,
+                    location: { lat: start[0], lng: start[1] },
+                    exit: maneuver.roundabout_exit_count || null
+                },
+                name: (maneuver.street_names && maneuver.street_names[0]) || '',
+                ref: null,
+                destinations: getValhallaSignText(maneuver.sign, 'exit_toward_elements'),
+                exits: getValhallaSignText(maneuver.sign, 'exit_number_elements'),
+                rotaryName: null,
+                lanes: null,
+                distance: maneuver.length * 1000,
+                duration: maneuver.time,
+                geometry: geometry.slice(maneuver.begin_shape_index, maneuver.end_shape_index + 1)
+            };
+        });
+
+        return { distance: leg.summary.length * 1000, duration: leg.summary.time, geometry, steps };
+    });
+
+    return buildRoute(
+        legs,
+        legs.reduce((all, leg) => all.concat(leg.geometry), []),
+        valhallaTrip.summary.length * 1000,
+        valhallaTrip.summary.time
+    );
+}
+
+// GraphHopper instruction sign -> OSRM maneuver type/modifier
+const GRAPHHOPPER_MANEUVERS = {
+    '-98': ['turn', 'uturn'], '-8': ['turn', 'uturn'], '8': ['turn', 'uturn'],
+    '-7': ['fork', 'left'], '7': ['fork', 'right'],
+    '-3': ['turn', 'sharp left'], '-2': ['turn', 'left'], '-1': ['turn', 'slight left'],
+    '0': ['continue', 'straight'],
+    '1': ['turn', 'slight right'], '2': ['turn', 'right'], '3': ['turn', 'sharp right'],
+    '4': ['arrive', null], '5': ['arrive', null],
+    '6': ['roundabout', 'straight']
+};
+
+/**
+ * Parse a GraphHopper path into app-friendly format
+ * GraphHopper returns one path for all waypoints; "via reached" (sign 5)
+ * instructions mark where one leg ends and the next begins.
+ * @param {Object} path - GraphHopper path object (encoded points)
+ * @returns {Object} Parsed route data
+ */
+function parseGraphHopperRoute(path) {
+    const geometry = decodePolyline(path.points);
+    const legs = [];
+    let steps = [];
+
+    path.instructions.forEach(instruction => {
+        const [type, modifier] = steps.length === 0
+            ? ['depart', null]
+            : GRAPHHOPPER_MANEUVERS[String(instruction.sign)] || ['turn', 'straight'];
+        const [from, to] = instruction.interval;
+        const start = geometry[from] || geometry[0];
+
+        steps.push({
+            index: steps.length,
+            maneuver: {
+                type: type,
+                modifier: modifier,
+                location: { lat: start[0], lng: start[1] },
+                exit: instruction.exit_number || null
+            },
+            name: instruction.street_name || '',
+            ref: instruction.street_ref || null,
+            destinations: instruction.street_destination || null,
+            exits: null,
+            rotaryName: null,
+            lanes: null,
+            distance: instruction.distance,
+            duration: instruction.time / 1000,
+            geometry: geometry.slice(from, to + 1)
+        });
+
+        if (type === 'arrive') {
+            const distance = steps.reduce((sum, step) => sum + step.distance, 0);
+            const duration = steps.reduce((sum, step) => sum + step.duration, 0);
+            legs.push(buildRouteLeg(steps, distance, duration));
+            steps = [];
+        }
+    });
+
+    return buildRoute(legs, geometry, path.distance, path.time / 1000);
+}
+
+/**
+ * Build an OSRM-format response that goes straight between waypoints
+ * Used by the fixture provider when no fixture file is configured.
+ * @param {Array} waypoints - [{lat, lng}, ...]
+ * @param {string} profile - Travel profile, for a plausible travel time
+ * @returns {Object} OSRM-format response
+ */
+function buildStraightLineResponse(waypoints, profile) {
+    const FIXTURE_SPEEDS = { driving: 13.4, walking: 1.4, cycling: 4.5 }; // m/s
+    const FIXTURE_SPEED = FIXTURE_SPEEDS[profile] || FIXTURE_SPEEDS.driving;
+
+    const makeStep = (point, type, stepDistance, geometry) => ({
+        maneuver: { type: type, location: [point.lng, point.lat] },
+        name: 'Fixture Road',
+        distance: stepDistance,
+        duration: stepDistance / FIXTURE_SPEED,
+        geometry: geometry
+    });
+
+    const legs = waypoints.slice(1).map((end, i) => {
+        const start = waypoints[i];
+        const distance = getDistanceMeters(start.lat, start.lng, end.lat, end.lng);
+        const geometry = encodePolyline([[start.lat, start.lng], [end.lat, end.lng]]);
+
+        return {
+            distance: distance,
+            duration: distance / FIXTURE_SPEED,
+            steps: [
+                makeStep(start, 'depart', distance, geometry),
+                makeStep(end, 'arrive', 0, encodePolyline([[end.lat, end.lng]]))
+            ]
+        };
+    });
+
+    const distance = legs.reduce((sum, leg) => sum + leg.distance, 0);
+
+    return {
+        code: 'Ok',
+        routes: [{
+            distance: distance,
+            duration: distance / FIXTURE_SPEED,
+            geometry: encodePolyline(waypoints.map(point => [point.lat, point.lng])),
+            legs: legs
+        }]
+    };
+}
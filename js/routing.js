@@ -1,80 +1,97 @@
 /**
  * Routing module for Vromp
- * Handles OSRM API calls and route parsing
+ * Fetches routes through the configured routing provider
+ * (see js/config.js and js/routing-providers.js)
  */
 
-const OSRM_BASE_URL = 'https://router.project-osrm.org/route/v1/driving';
+const REROUTE_CONFIG = {
+    headingTolerance: 45, // degrees either side of the GPS heading
+    fastHeadingTolerance: 20, // GPS heading is steadier at speed
+    fastSpeed: 20, // m/s (~45 mph)
+    maxRejoinDetour: 3 // rejoin routes longer than this times the straight line go backwards
+};
 
 /**
- * Fetch a route from OSRM
- * @param {number} startLat - Start latitude
- * @param {number} startLng - Start longitude
- * @param {number} endLat - End latitude
- * @param {number} endLng - End longitude
- * @returns {Promise<Object>} Parsed route data
+ * Get the active routing provider and its settings for a profile
+ * @param {string} profile - Travel profile ('driving', 'walking' or 'cycling')
+ * @returns {Object} {provider, settings}
  */
-async function fetchRoute(startLat, startLng, endLat, endLng) {
-    const url = `${OSRM_BASE_URL}/${startLng},${startLat};${endLng},${endLat}?overview=full&steps=true&geometries=polyline`;
+function getRoutingProvider(profile) {
+    const config = VROMP_CONFIG.routing;
+    const provider = ROUTING_PROVIDERS[config.provider];
 
-    console.log('Fetching route from OSRM...');
+    if (!provider) {
+        throw new Error(`Unknown routing provider "${config.provider}"`);
+    }
 
-    try {
-        const response = await fetch(url);
+    // Configured URLs win over the provider defaults; either may be per profile
+    const pickUrl = (value) => (value && typeof value === 'object') ? value[profile] : value;
+    const baseUrl = pickUrl(config.baseUrl) || pickUrl(provider.defaultBaseUrl) || '';
 
-        if (!response.ok) {
-            throw new Error(`OSRM API error: ${response.status}`);
+    return {
+        provider: provider,
+        settings: {
+            baseUrl: baseUrl.replace(/\/$/, '') || null,
+            apiKey: config.apiKey || null,
+            profile: profile
         }
+    };
+}
+
+/**
+ * Fetch a route through a list of waypoints from the routing provider
+ * Retries with exponential backoff unless the failure can't be fixed by
+ * asking again (no route, a request the server rejects, or the device is offline).
+ * @param {Array} waypoints - [{lat, lng}, ...], start first; one leg per consecutive pair
+ * @param {Object} options - {profile, preferences} (defaults to driving, fastest route)
+ * @returns {Promise<Object>} Parsed route data, including every leg
+ */
+async function fetchRoute(waypoints, options = {}) {
+    const profile = options.profile || NAV_CONFIG.defaultProfile;
+    const { provider, settings } = getRoutingProvider(profile);
+    const config = VROMP_CONFIG.routing;
 
-        const data = await response.json();
+    settings.preferences = options.preferences || { avoid: [], scenic: false };
 
-        if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
-            throw new Error('No route found');
+    for (let attempt = 0; ; attempt++) {
+        if (isDeviceOffline()) {
+            throw createRouteError(ROUTE_ERRORS.offline, 'Device is offline');
         }
 
-        const route = data.routes[0];
+        console.log(`Fetching ${waypoints.length - 1}-leg ${profile} route from ${config.provider}...`);
+
+        try {
+            const response = await provider.requestRoute(waypoints, settings);
+            return provider.normalizeRoute(response);
+        } catch (error) {
+            // Parsing problems and the like count as a bad server response
+            if (!error.kind) {
+                error.kind = ROUTE_ERRORS.server;
+            }
+
+            const delay = config.retryDelay * Math.pow(2, attempt);
+            const retryable = error.kind !== ROUTE_ERRORS.noRoute &&
+                error.kind !== ROUTE_ERRORS.invalidRequest &&
+                attempt < config.maxRetries &&
+                !(error.retryAfter > delay); // the app waits out long rate limits itself
+
+            if (!retryable) {
+                console.error('Route fetch error:', error);
+                throw error;
+            }
 
-        return parseRoute(route);
-    } catch (error) {
-        console.error('Route fetch error:', error);
-        throw error;
+            console.warn(`Route fetch failed (${error.kind}), retrying in ${delay} ms...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
     }
 }
 
 /**
- * Parse OSRM route response into app-friendly format
- * @param {Object} route - OSRM route object
- * @returns {Object} Parsed route data
+ * Check whether the browser knows it has no network
+ * @returns {boolean}
  */
-function parseRoute(route) {
-    // Decode the full route geometry
-    const geometry = decodePolyline(route.geometry);
-
-    // Extract steps from the first (and only) leg
-    const leg = route.legs[0];
-    const steps = leg.steps.map((step, index) => {
-        return {
-            index: index,
-            maneuver: {
-                type: step.maneuver.type,
-                modifier: step.maneuver.modifier || null,
-                location: {
-                    lat: step.maneuver.location[1],
-                    lng: step.maneuver.location[0]
-                }
-            },
-            name: step.name || 'Unnamed road',
-            distance: step.distance, // meters
-            duration: step.duration, // seconds
-            geometry: step.geometry ? decodePolyline(step.geometry) : []
-        };
-    });
-
-    return {
-        distance: route.distance, // total distance in meters
-        duration: route.duration, // total duration in seconds
-        geometry: geometry,
-        steps: steps
-    };
+function isDeviceOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
 }
 
 /**
@@ -92,21 +109,20 @@ function shouldReroute(state) {
     // Don't re-route too frequently (minimum 10 seconds between re-routes)
     if (state.lastRerouteTime) {
         const timeSinceLastReroute = Date.now() - state.lastRerouteTime;
-        if (timeSinceLastReroute < 10000) return false;
+        if (timeSinceLastReroute < NAV_CONFIG.rerouteDebounce) return false;
     }
 
     // Check if off-route
-    const OFF_ROUTE_THRESHOLD = 75; // meters
-    const OFF_ROUTE_DURATION = 3000; // 3 seconds
+    const { offRouteThreshold, offRouteDuration: requiredDuration } = getNavProfile(state);
 
-    if (state.distanceToRoute > OFF_ROUTE_THRESHOLD) {
+    if (state.distanceToRoute > offRouteThreshold) {
         if (!state.offRouteStartTime) {
             // First detection of being off-route
             return false; // Will be set by caller, wait for duration
         }
 
         const offRouteDuration = Date.now() - state.offRouteStartTime;
-        if (offRouteDuration >= OFF_ROUTE_DURATION) {
+        if (offRouteDuration >= requiredDuration) {
             return true;
         }
     }
@@ -114,20 +130,201 @@ function shouldReroute(state) {
     return false;
 }
 
+/**
+ * Get the waypoints for the rest of the trip from a position
+ * @param {Object} position - Start position {lat, lng}
+ * @param {Array} stops - Remaining trip stops, next stop first
+ * @returns {Array} [{lat, lng}, ...]
+ */
+function getTripWaypoints(position, stops) {
+    const start = { lat: position.lat, lng: position.lng };
+
+    // A heading keeps the route going the way the traveler is already moving
+    if (position.heading !== undefined) {
+        start.heading = position.heading;
+        start.headingTolerance = position.headingTolerance;
+    }
+
+    return [start, ...stops.map(stop => stop.coordinates)];
+}
+
+/**
+ * Get the routing preferences for the leg leading to a stop
+ * The stop's `routing` settings override the trip's, field by field.
+ * @param {Object} stop - Trip stop
+ * @param {Object} routeTrip - Trip object
+ * @returns {Object} {avoid: [...], scenic}
+ */
+function getLegPreferences(stop, routeTrip) {
+    const settings = { ...(routeTrip.routing || {}), ...(stop.routing || {}) };
+
+    return {
+        avoid: (settings.avoid || []).slice().sort(),
+        scenic: settings.scenic === true
+    };
+}
+
+/**
+ * Fetch the route from a position through the remaining stops
+ * Each leg uses the profile and routing preferences of the stop it leads to
+ * (falling back to the trip's). Consecutive legs with the same settings
+ * share a request; a change starts a new request from the stop where it changes.
+ * Scenic legs always get a request of their own: OSRM only returns
+ * alternatives to choose a scenic route from between two waypoints.
+ * @param {Object} position - Start position {lat, lng}, optionally with a heading
+ * @param {Array} stops - Remaining trip stops, next stop first
+ * @param {Object} routeTrip - Trip object, for its profile and routing preferences
+ * @returns {Promise<Object>} Parsed route data; every leg has `profile` and `preferences`
+ */
+async function fetchTripRoute(position, stops, routeTrip) {
+    const groups = [];
+
+    stops.forEach(stop => {
+        const profile = stop.profile || routeTrip.profile || NAV_CONFIG.defaultProfile;
+        const preferences = getLegPreferences(stop, routeTrip);
+        const key = `${profile} ${JSON.stringify(preferences)}`;
+        const lastGroup = groups[groups.length - 1];
+
+        if (lastGroup && lastGroup.key === key && !preferences.scenic) {
+            lastGroup.stops.push(stop);
+        } else {
+            groups.push({ key: key, profile: profile, preferences: preferences, stops: [stop] });
+        }
+    });
+
+    const legs = [];
+    const geometry = [];
+    let start = position;
+
+    for (const group of groups) {
+        const route = await fetchRoute(getTripWaypoints(start, group.stops), {
+            profile: group.profile,
+            preferences: group.preferences
+        });
+
+        route.legs.forEach(leg => legs.push({ ...leg, profile: group.profile, preferences: group.preferences }));
+        // Each request starts where the last one ended; don't repeat that point
+        geometry.push(...(geometry.length > 0 ? route.geometry.slice(1) : route.geometry));
+        start = group.stops[group.stops.length - 1].coordinates;
+    }
+
+    return buildRoute(
+        legs,
+        geometry,
+        legs.reduce((sum, leg) => sum + leg.distance, 0),
+        legs.reduce((sum, leg) => sum + leg.duration, 0)
+    );
+}
+
 /**
  * Perform a re-route operation
+ * Slightly off the route, steers back onto it; further off, routes through
+ * every remaining stop so the later legs stay current too. Either way the
+ * request carries the direction of travel to avoid needless U-turns.
  * @param {Object} state - App state
+ * @param {Array} remainingStops - Stops still to visit, current destination first
+ * @param {Object} routeTrip - Trip object, for its profile and routing preferences
  * @returns {Promise<Object>} New route data
  */
-async function performReroute(state) {
+async function performReroute(state, remainingStops, routeTrip) {
     console.log('Performing re-route...');
 
-    const newRoute = await fetchRoute(
-        state.currentPosition.lat,
-        state.currentPosition.lng,
-        state.destination.coordinates.lat,
-        state.destination.coordinates.lng
-    );
+    const start = getRerouteStart(state);
+
+    if (state.distanceToRoute <= getNavProfile(state).rejoinDistance) {
+        try {
+            const rejoined = await rejoinCurrentLeg(state, start);
+            if (rejoined) return rejoined;
+        } catch (error) {
+            // Network trouble would sink a full re-route too
+            if (error.kind !== ROUTE_ERRORS.noRoute) throw error;
+        }
+        console.log('Could not rejoin the route, re-routing the whole trip');
+    }
+
+    const newRoute = await fetchTripRoute(start, remainingStops, routeTrip);
 
     return newRoute;
 }
+
+/**
+ * Get the start waypoint for a re-route
+ * Includes the GPS heading when the traveler is moving fast enough for it
+ * to mean something, so the routing server keeps them going forward.
+ * @param {Object} state - App state
+ * @returns {Object} {lat, lng}, plus {heading, headingTolerance} when moving
+ */
+function getRerouteStart(state) {
+    const start = { lat: state.currentPosition.lat, lng: state.currentPosition.lng };
+    const minSpeed = getNavProfile(state).headingMinSpeed;
+    const { heading, speed } = state;
+
+    if (minSpeed === null || heading === null || isNaN(heading) || !(speed >= minSpeed)) {
+        return start;
+    }
+
+    start.heading = Math.round(heading) % 360;
+    start.headingTolerance = speed >= REROUTE_CONFIG.fastSpeed
+        ? REROUTE_CONFIG.fastHeadingTolerance
+        : REROUTE_CONFIG.headingTolerance;
+
+    return start;
+}
+
+/**
+ * Steer back onto the current leg instead of replacing it
+ * Fetches a short route to the upcoming maneuver and splices it onto the
+ * leg's remaining steps; later legs are kept as they are.
+ * @param {Object} state - App state
+ * @param {Object} start - Start waypoint from getRerouteStart
+ * @returns {Promise<Object|null>} Route data, or null if rejoining would mean going back
+ */
+async function rejoinCurrentLeg(state, start) {
+    // A depart step's maneuver is behind the traveler; aim for the one after
+    let fromIndex = state.currentStepIndex;
+    if (state.routeSteps[fromIndex] && state.routeSteps[fromIndex].maneuver.type === 'depart') {
+        fromIndex++;
+    }
+
+    const keptSteps = state.routeSteps.slice(fromIndex);
+    if (keptSteps.length === 0) return null;
+
+    const rejoinPoint = keptSteps[0].maneuver.location;
+    const [currentLeg, ...laterLegs] = state.routeLegs;
+    const detour = await fetchRoute([start, rejoinPoint], {
+        profile: currentLeg.profile,
+        preferences: currentLeg.preferences
+    });
+
+    const straightLine = getDistanceMeters(start.lat, start.lng, rejoinPoint.lat, rejoinPoint.lng);
+    if (detour.distance > straightLine * REROUTE_CONFIG.maxRejoinDetour) {
+        console.log(`Rejoin would take ${formatDistance(detour.distance)} for ${formatDistance(straightLine)}`);
+        return null;
+    }
+
+    // The detour's arrival is the kept step's maneuver
+    const steps = [
+        ...detour.steps.filter(step => step.maneuver.type !== 'arrive'),
+        ...keptSteps
+    ].map((step, index) => ({ ...step, index }));
+
+    const leg = {
+        ...buildRouteLeg(
+            steps,
+            steps.reduce((sum, step) => sum + (step.distance || 0), 0),
+            steps.reduce((sum, step) => sum + (step.duration || 0), 0)
+        ),
+        profile: currentLeg.profile,
+        preferences: currentLeg.preferences
+    };
+    const legs = [leg, ...laterLegs];
+
+    console.log(`Rejoining the route at step ${fromIndex} (${formatDistance(detour.distance)} detour)`);
+
+    return buildRoute(
+        legs,
+        legs.flatMap(routeLeg => routeLeg.geometry),
+        legs.reduce((sum, routeLeg) => sum + routeLeg.distance, 0),
+        legs.reduce((sum, routeLeg) => sum + routeLeg.duration, 0)
+    );
+}
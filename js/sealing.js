@@ -0,0 +1,263 @@
+/**
+ * Sealing module for Vromp
+ * Encrypts each stop's reveal (name, recommendation, description) so it
+ * can only be read once the traveler is physically at the stop
+ *
+ * Each stop's key is derived from the coarse geohash cell around the stop
+ * plus a per-trip secret. On arrival we derive keys from the traveler's own
+ * GPS fix (its cell and the 8 cells around it) and try them until one opens
+ * the stop. Coordinates stay in the clear because routing needs them; the
+ * point is that nothing human-readable is in memory or devtools until then.
+ *
+ * This is obfuscation, not secrecy: the secret ships in the same trip JSON
+ * as the coordinates, so anyone who reads the file can derive every key.
+ */
+
+const SEAL_CONFIG = {
+    geohashPrecision: 6, // ~1.2 km x 0.6 km cells; see getMaxSealedArrivalRadius
+    keyIterations: 100000,
+    revealFields: ['name', 'recommendation', 'description']
+};
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Check whether a stop's reveal content is sealed
+ * @param {Object} stop - Trip stop
+ * @returns {boolean}
+ */
+function isStopSealed(stop) {
+    return Boolean(stop && stop.sealed);
+}
+
+/**
+ * Generate a random trip secret for sealing
+ * @returns {string} Secret (base64url)
+ */
+function generateTripSecret() {
+    return bytesToBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+/**
+ * Seal a stop's reveal content
+ * @param {Object} stop - Trip stop with plain reveal fields
+ * @param {string} secret - Trip secret
+ * @returns {Promise<Object>} Copy of the stop with reveal fields replaced by `sealed`
+ */
+async function sealStop(stop, secret) {
+    const reveal = {};
+    const sealedStop = { ...stop };
+
+    SEAL_CONFIG.revealFields.forEach(field => {
+        if (stop[field] !== undefined) {
+            reveal[field] = stop[field];
+        }
+        delete sealedStop[field];
+    });
+
+    const geohash = encodeGeohash(stop.coordinates.lat, stop.coordinates.lng, SEAL_CONFIG.geohashPrecision);
+    const key = await deriveStopKey(geohash, secret, stop.id);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encrypted = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(reveal))
+    );
+
+    sealedStop.sealed = {
+        iv: bytesToBase64Url(iv),
+        data: bytesToBase64Url(new Uint8Array(encrypted))
+    };
+
+    return sealedStop;
+}
+
+/**
+ * Get a stop's reveal content, unsealing it from the traveler's position
+ * @param {Object} stop - Trip stop
+ * @param {Object} position - Traveler's position {lat, lng}
+ * @param {string} secret - Trip secret
+ * @returns {Promise<Object>} {name, recommendation, description}
+ */
+async function revealStop(stop, position, secret) {
+    if (!isStopSealed(stop)) {
+        return {
+            name: stop.name,
+            recommendation: stop.recommendation,
+            description: stop.description
+        };
+    }
+
+    const iv = base64UrlToBytes(stop.sealed.iv);
+    const data = base64UrlToBytes(stop.sealed.data);
+    const here = encodeGeohash(position.lat, position.lng, SEAL_CONFIG.geohashPrecision);
+
+    // The stop may sit just across a cell edge from the traveler
+    for (const geohash of [here, ...getGeohashNeighbors(here)]) {
+        try {
+            const key = await deriveStopKey(geohash, secret, stop.id);
+            const decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: iv }, key, data);
+            return JSON.parse(new TextDecoder().decode(decrypted));
+        } catch (error) {
+            // Wrong cell: AES-GCM rejects the key, try the next one
+        }
+    }
+
+    throw new Error(`Could not unseal stop ${stop.id} from this position`);
+}
+
+/**
+ * Get the largest arrival radius a sealed stop can use
+ * Arrival only tries the traveler's cell and its 8 neighbors, so anywhere
+ * within the radius must be at most one cell from the stop's cell. That
+ * holds while the radius is no bigger than the cell's shorter side, which
+ * narrows toward the poles.
+ * @param {number} lat - Stop latitude
+ * @param {number} lng - Stop longitude
+ * @returns {number} Radius in meters, rounded down
+ */
+function getMaxSealedArrivalRadius(lat, lng) {
+    const bounds = decodeGeohashBounds(encodeGeohash(lat, lng, SEAL_CONFIG.geohashPrecision));
+    const poleward = Math.max(Math.abs(bounds.minLat), Math.abs(bounds.maxLat));
+    const height = (bounds.maxLat - bounds.minLat) * 111320;
+    const width = (bounds.maxLng - bounds.minLng) * 111320 * Math.cos(toRad(poleward));
+
+    return Math.floor(Math.min(height, width));
+}
+
+/**
+ * Derive the AES key for a stop
+ * @param {string} geohash - Geohash cell of the stop
+ * @param {string} secret - Trip secret
+ * @param {string} stopId - Stop id, used as salt so stops in one cell get different keys
+ * @returns {Promise<Object>} AES-GCM CryptoKey
+ */
+async function deriveStopKey(geohash, secret, stopId) {
+    const encoder = new TextEncoder();
+    const material = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(`${geohash}:${secret}`),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        {
+            name: 'PBKDF2',
+            salt: encoder.encode(`vromp-stop:${stopId}`),
+            iterations: SEAL_CONFIG.keyIterations,
+            hash: 'SHA-256'
+        },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encode a position as a geohash
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} precision - Number of characters
+ * @returns {string} Geohash
+ */
+function encodeGeohash(lat, lng, precision) {
+    let minLat = -90, maxLat = 90;
+    let minLng = -180, maxLng = 180;
+    let hash = '';
+    let bits = 0;
+    let charIndex = 0;
+    let isLngBit = true;
+
+    while (hash.length < precision) {
+        if (isLngBit) {
+            const mid = (minLng + maxLng) / 2;
+            if (lng >= mid) {
+                charIndex = (charIndex << 1) | 1;
+                minLng = mid;
+            } else {
+                charIndex = charIndex << 1;
+                maxLng = mid;
+            }
+        } else {
+            const mid = (minLat + maxLat) / 2;
+            if (lat >= mid) {
+                charIndex = (charIndex << 1) | 1;
+                minLat = mid;
+            } else {
+                charIndex = charIndex << 1;
+                maxLat = mid;
+            }
+        }
+
+        isLngBit = !isLngBit;
+        bits++;
+
+        if (bits === 5) {
+            hash += GEOHASH_ALPHABET[charIndex];
+            bits = 0;
+            charIndex = 0;
+        }
+    }
+
+    return hash;
+}
+
+/**
+ * Decode a geohash into its bounding box
+ * @param {string} hash - Geohash
+ * @returns {Object} {minLat, maxLat, minLng, maxLng}
+ */
+function decodeGeohashBounds(hash) {
+    let minLat = -90, maxLat = 90;
+    let minLng = -180, maxLng = 180;
+    let isLngBit = true;
+
+    for (const char of hash) {
+        const value = GEOHASH_ALPHABET.indexOf(char);
+        for (let bit = 4; bit >= 0; bit--) {
+            const isSet = (value >> bit) & 1;
+            if (isLngBit) {
+                const mid = (minLng + maxLng) / 2;
+                if (isSet) minLng = mid; else maxLng = mid;
+            } else {
+                const mid = (minLat + maxLat) / 2;
+                if (isSet) minLat = mid; else maxLat = mid;
+            }
+            isLngBit = !isLngBit;
+        }
+    }
+
+    return { minLat, maxLat, minLng, maxLng };
+}
+
+/**
+ * Get the 8 geohash cells surrounding a cell
+ * @param {string} hash - Geohash
+ * @returns {Array<string>} Neighboring geohashes
+ */
+function getGeohashNeighbors(hash) {
+    const bounds = decodeGeohashBounds(hash);
+    const height = bounds.maxLat - bounds.minLat;
+    const width = bounds.maxLng - bounds.minLng;
+    const centerLat = (bounds.minLat + bounds.maxLat) / 2;
+    const centerLng = (bounds.minLng + bounds.maxLng) / 2;
+    const neighbors = [];
+
+    for (const dLat of [-1, 0, 1]) {
+        for (const dLng of [-1, 0, 1]) {
+            if (dLat === 0 && dLng === 0) continue;
+
+            const lat = centerLat + dLat * height;
+            if (lat < -90 || lat > 90) continue;
+
+            // Wrap around the antimeridian
+            const lng = ((centerLng + dLng * width + 540) % 360) - 180;
+            neighbors.push(encodeGeohash(lat, lng, hash.length));
+        }
+    }
+
+    return neighbors;
+}
@@ -0,0 +1,108 @@
+/**
+ * Sharing module for Vromp
+ * Packs a whole trip into a link so it can be run without hosting a file
+ *
+ * The trip JSON is deflate-compressed and base64url-encoded into the URL
+ * fragment (#share=...). The fragment is never sent to the server, and the
+ * compressed bytes don't contain stop names or coordinates as readable text.
+ * This keeps the surprise from a glance at the URL; it is not encryption.
+ */
+
+const SHARE_CONFIG = {
+    hashKey: 'share',
+    version: '1' // bump if the payload format changes
+};
+
+/**
+ * Get the shared trip payload from the page URL, if there is one
+ * @returns {string|null} Payload from #share=, or null
+ */
+function getSharedTripPayload() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    return params.get(SHARE_CONFIG.hashKey);
+}
+
+/**
+ * Build a share link for a trip
+ * @param {Object} tripToShare - Validated trip object
+ * @returns {Promise<string>} Full URL that opens the trip
+ */
+async function createShareLink(tripToShare) {
+    const payload = await encodeTripPayload(tripToShare);
+    const base = `${window.location.origin}${window.location.pathname}`;
+    return `${base}#${SHARE_CONFIG.hashKey}=${payload}`;
+}
+
+/**
+ * Encode a trip into a compressed, URL-safe payload
+ * @param {Object} tripToShare - Trip object
+ * @returns {Promise<string>} Payload string ("<version>.<base64url>")
+ */
+async function encodeTripPayload(tripToShare) {
+    const json = JSON.stringify(tripToShare);
+    const compressed = await transformBytes(
+        new TextEncoder().encode(json),
+        new CompressionStream('deflate-raw')
+    );
+    return `${SHARE_CONFIG.version}.${bytesToBase64Url(compressed)}`;
+}
+
+/**
+ * Decode a shared payload back into a trip object
+ * @param {string} payload - Payload from a share link
+ * @returns {Promise<Object>} Raw trip object (not yet validated)
+ */
+async function decodeTripPayload(payload) {
+    const [version, data] = payload.split('.');
+
+    if (version !== SHARE_CONFIG.version || !data) {
+        throw new Error(t('share.otherVersion'));
+    }
+
+    try {
+        const bytes = await transformBytes(
+            base64UrlToBytes(data),
+            new DecompressionStream('deflate-raw')
+        );
+        return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        console.error('Share link decode error:', error);
+        throw new Error(t('share.damaged'));
+    }
+}
+
+/**
+ * Pipe bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {Object} stream - CompressionStream or DecompressionStream
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+async function transformBytes(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    const buffer = await new Response(output).arrayBuffer();
+    return new Uint8Array(buffer);
+}
+
+/**
+ * Encode bytes as unpadded base64url
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode unpadded base64url into bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64);
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
@@ -0,0 +1,139 @@
+/**
+ * Theme module for Vromp
+ * Switches the app and map between day and night styles
+ *
+ * Automatic mode goes dark between local sunset and sunrise, worked out
+ * from the traveler's position, so bright map tiles don't dazzle night
+ * drivers. Travelers can pin day or night instead; the choice is remembered
+ * on their device. Tile styles come from VROMP_CONFIG.tiles.
+ */
+
+const THEME_CONFIG = {
+    storageKey: 'vromp.theme', // 'auto', 'day' or 'night'
+    checkInterval: 60000, // ms - how often automatic mode looks at the sun again
+    sunAltitude: -0.833, // degrees - the sun's center at sunrise/sunset, allowing for refraction
+    fallbackDayHours: [7, 19] // local hours counted as day before there's a position
+};
+
+const THEME_MODES = ['auto', 'day', 'night'];
+
+// Theme state
+let currentTheme = null; // 'day' or 'night' once applied
+let lastThemeCheck = 0; // Date.now() of the last automatic check
+
+/**
+ * Get the traveler's theme setting
+ * @returns {string} 'auto', 'day' or 'night'
+ */
+function getThemeMode() {
+    try {
+        const stored = localStorage.getItem(THEME_CONFIG.storageKey);
+        if (THEME_MODES.includes(stored)) return stored;
+    } catch (error) {
+        // Fall through to the default
+    }
+    return 'auto';
+}
+
+/**
+ * Set the traveler's theme setting, remembering it on this device
+ * @param {string} mode - 'auto', 'day' or 'night'
+ */
+function setThemeMode(mode) {
+    try {
+        localStorage.setItem(THEME_CONFIG.storageKey, mode);
+    } catch (error) {
+        console.warn('Could not save theme setting:', error);
+    }
+}
+
+/**
+ * Apply the day or night theme for the current setting
+ * In automatic mode the sun is only checked once per checkInterval, so this
+ * is cheap to call on every position update.
+ * @param {number|null} lat - Traveler latitude, if known
+ * @param {number|null} lng - Traveler longitude, if known
+ * @param {boolean} force - Check now, e.g. after the setting changed
+ */
+function updateTheme(lat, lng, force = false) {
+    const mode = getThemeMode();
+    const now = Date.now();
+
+    if (mode === 'auto' && !force && currentTheme !== null && now - lastThemeCheck < THEME_CONFIG.checkInterval) {
+        return;
+    }
+    lastThemeCheck = now;
+
+    const theme = mode === 'auto' ? getAutoTheme(new Date(now), lat, lng) : mode;
+    if (theme === currentTheme) return;
+
+    currentTheme = theme;
+    document.body.classList.toggle('night', theme === 'night');
+    setMapTheme(theme);
+    console.log(`Theme: ${theme} (${mode})`);
+}
+
+/**
+ * Work out whether it's day or night
+ * @param {Date} date - When
+ * @param {number|null} lat - Latitude, if known
+ * @param {number|null} lng - Longitude, if known
+ * @returns {string} 'day' or 'night'
+ */
+function getAutoTheme(date, lat, lng) {
+    if (lat === null || lat === undefined || lng === null || lng === undefined) {
+        const [dayStart, dayEnd] = THEME_CONFIG.fallbackDayHours;
+        const hour = date.getHours();
+        return hour >= dayStart && hour < dayEnd ? 'day' : 'night';
+    }
+
+    const sun = getSunTimes(date, lat, lng);
+    if (sun.polar) return sun.polar;
+
+    return date >= sun.sunrise && date < sun.sunset ? 'day' : 'night';
+}
+
+/**
+ * Calculate sunrise and sunset for the solar day nearest a time
+ * Uses the standard sunrise equation, accurate to a minute or two.
+ * @param {Date} date - When
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} {sunrise, sunset} as Dates, or {polar: 'day' | 'night'}
+ *   when the sun doesn't rise or set that day
+ */
+function getSunTimes(date, lat, lng) {
+    const dayMs = 86400000;
+    const J1970 = 2440588;
+    const J2000 = 2451545;
+    const J0 = 0.0009;
+    const obliquity = toRad(23.4397);
+
+    const days = date.valueOf() / dayMs - 0.5 + J1970 - J2000;
+    const lw = toRad(-lng);
+    const phi = toRad(lat);
+
+    // Solar noon, and the sun's position on the sky that day
+    const cycle = Math.round(days - J0 - lw / (2 * Math.PI));
+    const approxNoon = J0 + lw / (2 * Math.PI) + cycle;
+    const meanAnomaly = toRad(357.5291 + 0.98560028 * approxNoon);
+    const center = toRad(1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) +
+        0.0003 * Math.sin(3 * meanAnomaly));
+    const eclipticLng = meanAnomaly + center + toRad(102.9372) + Math.PI;
+    const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLng));
+    const noon = J2000 + approxNoon + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLng);
+
+    // How far either side of noon the sun crosses sunAltitude
+    const cosHourAngle = (Math.sin(toRad(THEME_CONFIG.sunAltitude)) - Math.sin(phi) * Math.sin(declination)) /
+        (Math.cos(phi) * Math.cos(declination));
+    if (cosHourAngle > 1) return { polar: 'night' };
+    if (cosHourAngle < -1) return { polar: 'day' };
+
+    const hourAngle = Math.acos(cosHourAngle);
+    const setApprox = J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+    const set = J2000 + setApprox + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLng);
+    const rise = noon - (set - noon);
+
+    const fromJulian = julian => new Date((julian + 0.5 - J1970) * dayMs);
+    return { sunrise: fromJulian(rise), sunset: fromJulian(set) };
+}
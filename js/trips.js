@@ -0,0 +1,306 @@
+/**
+ * Trip module for Vromp
+ * Loads trip definitions from JSON files and validates them
+ *
+ * Trip files live in trips/<id>.json and are selected with ?trip=<id>
+ * or from the library on the start screen.
+ * See trips/README.md for the full schema.
+ */
+
+const TRIPS_CONFIG = {
+    directory: 'trips'
+};
+
+// Travel profiles a trip can declare
+const TRIP_PROFILES = ['driving', 'walking', 'cycling'];
+
+// Road types a trip or stop can ask routing to avoid
+const ROUTE_AVOIDS = ['motorways', 'tolls', 'ferries'];
+
+// Trip ids double as file names, so keep them to a safe character set
+const TRIP_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Get the trip id requested in the page URL
+ * @returns {string|null} Trip id from ?trip=, or null to show the library
+ */
+function getRequestedTripId() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('trip');
+}
+
+/**
+ * Load a trip definition from its JSON file
+ * @param {string} tripId - Trip id (file name without .json)
+ * @returns {Promise<Object>} Raw trip object (not yet validated)
+ */
+async function loadTrip(tripId) {
+    if (!TRIP_ID_PATTERN.test(tripId)) {
+        throw new Error(t('trip.invalidId', { id: tripId }));
+    }
+
+    const url = `${TRIPS_CONFIG.directory}/${tripId}.json`;
+    console.log(`Loading trip from ${url}...`);
+
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        console.error('Trip fetch error:', error);
+        throw new Error(t('trip.downloadFailed'));
+    }
+
+    if (response.status === 404) {
+        throw new Error(t('trip.notFound', { id: tripId }));
+    }
+    if (!response.ok) {
+        throw new Error(t('trip.downloadError', { status: response.status }));
+    }
+
+    try {
+        return await response.json();
+    } catch (error) {
+        console.error('Trip parse error:', error);
+        throw new Error(t('trip.invalidJson', { id: tripId }));
+    }
+}
+
+/**
+ * Validate a trip definition against the trip schema
+ * Collects every problem rather than stopping at the first one,
+ * so a trip author can fix the whole file in one pass.
+ * @param {Object} trip - Raw trip object
+ * @returns {Array<string>} List of problems (empty if the trip is valid)
+ */
+function validateTrip(trip) {
+    const problems = [];
+
+    if (!isPlainObject(trip)) {
+        return [t('schema.notObject')];
+    }
+
+    const tripLabel = t('schema.trip');
+
+    ['title', 'teaser'].forEach(field => {
+        if (trip[field] !== undefined && typeof trip[field] !== 'string') {
+            problems.push(t('schema.text', { label: tripLabel, field }));
+        }
+    });
+
+    if (trip.profile !== undefined && !TRIP_PROFILES.includes(trip.profile)) {
+        problems.push(t('schema.oneOf', { label: tripLabel, field: 'profile', values: TRIP_PROFILES.join(', ') }));
+    }
+
+    if (trip.routing !== undefined) {
+        problems.push(...validateRouting(trip.routing, tripLabel));
+    }
+
+    if (trip.fog !== undefined && !isFogLevel(trip.fog)) {
+        problems.push(t('schema.oneOf', { label: tripLabel, field: 'fog', values: Object.keys(FOG_LEVELS).join(', ') }));
+    }
+
+    if (trip.locale !== undefined && !isValidLocale(trip.locale)) {
+        problems.push(t('schema.locale', { label: tripLabel }));
+    }
+
+    if (trip.estimatedMinutes !== undefined &&
+        (typeof trip.estimatedMinutes !== 'number' || !(trip.estimatedMinutes > 0))) {
+        problems.push(t('schema.positive', { label: tripLabel, field: 'estimatedMinutes' }));
+    }
+
+    if (!Array.isArray(trip.stops) || trip.stops.length === 0) {
+        problems.push(t('schema.noStops'));
+        return problems;
+    }
+
+    if (trip.stops.some(stop => isPlainObject(stop) && stop.sealed !== undefined) &&
+        !isNonEmptyString(trip.secret)) {
+        problems.push(t('schema.needsSecret'));
+    }
+
+    const seenIds = new Set();
+    let finalCount = 0;
+
+    trip.stops.forEach((stop, index) => {
+        const label = t('schema.stop', { number: index + 1 });
+
+        if (!isPlainObject(stop)) {
+            problems.push(t('schema.stopNotObject', { label }));
+            return;
+        }
+
+        if (!isNonEmptyString(stop.id)) {
+            problems.push(t('schema.missing', { label, field: 'id' }));
+        } else if (seenIds.has(stop.id)) {
+            problems.push(t('schema.duplicateId', { label, id: stop.id }));
+        } else {
+            seenIds.add(stop.id);
+        }
+
+        const sealed = stop.sealed !== undefined;
+
+        if (sealed) {
+            problems.push(...validateSealedStop(stop, label));
+        } else if (!isNonEmptyString(stop.name)) {
+            problems.push(t('schema.missing', { label, field: 'name' }));
+        }
+
+        problems.push(...validateCoordinates(stop.coordinates, label));
+
+        // A stop may switch profile for the leg that leads to it
+        if (stop.profile !== undefined && !TRIP_PROFILES.includes(stop.profile)) {
+            problems.push(t('schema.oneOf', { label, field: 'profile', values: TRIP_PROFILES.join(', ') }));
+        }
+
+        // ...and its own routing preferences for that leg
+        if (stop.routing !== undefined) {
+            problems.push(...validateRouting(stop.routing, label));
+        }
+
+        // ...and how much of the map to hide on the way
+        if (stop.fog !== undefined && !isFogLevel(stop.fog)) {
+            problems.push(t('schema.oneOf', { label, field: 'fog', values: Object.keys(FOG_LEVELS).join(', ') }));
+        }
+
+        if (typeof stop.arrivalRadius !== 'number' || !isFinite(stop.arrivalRadius)) {
+            problems.push(t('schema.radius', { label }));
+        } else if (stop.arrivalRadius <= 0) {
+            problems.push(t('schema.positive', { label, field: 'arrivalRadius' }));
+        }
+
+        if (typeof stop.isFinal !== 'boolean') {
+            problems.push(t('schema.isFinal', { label }));
+        } else if (stop.isFinal) {
+            finalCount++;
+            if (index !== trip.stops.length - 1) {
+                problems.push(t('schema.finalNotLast', { label }));
+            }
+        }
+
+        ['recommendation', 'description'].forEach(field => {
+            if (stop[field] !== undefined && typeof stop[field] !== 'string') {
+                problems.push(t('schema.text', { label, field }));
+            }
+        });
+
+        // Intermediate stops reveal a recommendation, the final stop a description
+        // (sealed stops were checked before sealing; their text can't be read here)
+        if (!sealed && stop.isFinal === true && !isNonEmptyString(stop.description)) {
+            problems.push(t('schema.needsDescription', { label }));
+        } else if (!sealed && stop.isFinal === false && !isNonEmptyString(stop.recommendation)) {
+            problems.push(t('schema.needsRecommendation', { label }));
+        }
+    });
+
+    if (finalCount !== 1) {
+        problems.push(t('schema.finalCount', { count: finalCount }));
+    }
+
+    return problems;
+}
+
+/**
+ * Validate a {lat, lng} coordinates object
+ * @param {Object} coordinates - Value to check
+ * @param {string} label - Translated label used in problem messages
+ * @returns {Array<string>} List of problems
+ */
+function validateCoordinates(coordinates, label) {
+    if (!isPlainObject(coordinates)) {
+        return [t('schema.coordinates', { label })];
+    }
+
+    const problems = [];
+    const { lat, lng } = coordinates;
+
+    if (typeof lat !== 'number' || !isFinite(lat) || lat < -90 || lat > 90) {
+        problems.push(t('schema.range', { label, field: 'coordinates.lat', min: -90, max: 90 }));
+    }
+    if (typeof lng !== 'number' || !isFinite(lng) || lng < -180 || lng > 180) {
+        problems.push(t('schema.range', { label, field: 'coordinates.lng', min: -180, max: 180 }));
+    }
+
+    return problems;
+}
+
+/**
+ * Validate routing preferences {avoid, scenic}
+ * @param {Object} routing - Value to check
+ * @param {string} label - Translated label used in problem messages
+ * @returns {Array<string>} List of problems
+ */
+function validateRouting(routing, label) {
+    if (!isPlainObject(routing)) {
+        return [t('schema.routing', { label })];
+    }
+
+    const problems = [];
+
+    if (routing.avoid !== undefined &&
+        (!Array.isArray(routing.avoid) || !routing.avoid.every(item => ROUTE_AVOIDS.includes(item)))) {
+        problems.push(t('schema.avoid', { label, values: ROUTE_AVOIDS.join(', ') }));
+    }
+    if (routing.scenic !== undefined && typeof routing.scenic !== 'boolean') {
+        problems.push(t('schema.boolean', { label, field: 'routing.scenic' }));
+    }
+
+    return problems;
+}
+
+/**
+ * Validate the sealed reveal of a stop
+ * @param {Object} stop - Stop with a `sealed` field
+ * @param {string} label - Translated label used in problem messages
+ * @returns {Array<string>} List of problems
+ */
+function validateSealedStop(stop, label) {
+    const problems = [];
+
+    if (!isPlainObject(stop.sealed) ||
+        !isNonEmptyString(stop.sealed.iv) ||
+        !isNonEmptyString(stop.sealed.data)) {
+        problems.push(t('schema.sealed', { label }));
+    }
+
+    ['name', 'recommendation', 'description'].forEach(field => {
+        if (stop[field] !== undefined) {
+            problems.push(t('schema.sealedReadable', { label, field }));
+        }
+    });
+
+    problems.push(...validateSealedRadius(stop, label));
+
+    return problems;
+}
+
+/**
+ * Check that a sealed stop's arrival radius stays within its geohash cell,
+ * so every arrival derives a key that opens it
+ * A missing or invalid radius or coordinates are reported elsewhere.
+ * @param {Object} stop - Trip stop that is or will be sealed
+ * @param {string} label - Translated label used in problem messages
+ * @returns {Array<string>} List of problems
+ */
+function validateSealedRadius(stop, label) {
+    if (typeof stop.arrivalRadius !== 'number' || !isPlainObject(stop.coordinates) ||
+        validateCoordinates(stop.coordinates, label).length > 0) {
+        return [];
+    }
+
+    const max = getMaxSealedArrivalRadius(stop.coordinates.lat, stop.coordinates.lng);
+    return stop.arrivalRadius > max ? [t('schema.sealedRadius', { label, max })] : [];
+}
+
+/**
+ * Check whether a value is a plain (non-array) object
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a value is a string with visible content
+ */
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
@@ -39,6 +39,38 @@ function getBearing(lat1, lng1, lat2, lng2) {
     return (bearing + 360) % 360;
 }
 
+/**
+ * Find the point a given distance away from another along a bearing
+ * @param {number} lat - Latitude of the start
+ * @param {number} lng - Longitude of the start
+ * @param {number} bearing - Degrees clockwise from north
+ * @param {number} distance - Distance in meters
+ * @returns {Array} [lat, lng]
+ */
+function getDestinationPoint(lat, lng, bearing, distance) {
+    const R = 6371000; // Earth's radius in meters
+    const angular = distance / R;
+    const lat1 = toRad(lat);
+    const theta = toRad(bearing);
+
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) +
+        Math.cos(lat1) * Math.sin(angular) * Math.cos(theta));
+    const lng2 = toRad(lng) + Math.atan2(Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+        Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2));
+
+    return [toDeg(lat2), ((toDeg(lng2) + 540) % 360) - 180];
+}
+
+/**
+ * Get the signed turn from one heading to another
+ * @param {number} from - Degrees
+ * @param {number} to - Degrees
+ * @returns {number} Degrees in [-180, 180), positive clockwise
+ */
+function getHeadingDifference(from, to) {
+    return ((to - from + 540) % 360) - 180;
+}
+
 /**
  * Convert degrees to radians
  */
@@ -55,10 +87,12 @@ function toDeg(rad) {
 
 /**
  * Decode an encoded polyline string into an array of coordinates
- * @param {string} encoded - Encoded polyline string from OSRM
+ * @param {string} encoded - Encoded polyline string
+ * @param {number} precision - Decimal places encoded (5 for OSRM/GraphHopper, 6 for Valhalla)
  * @returns {Array} Array of [lat, lng] pairs
  */
-function decodePolyline(encoded) {
+function decodePolyline(encoded, precision = 5) {
+    const factor = Math.pow(10, precision);
     const points = [];
     let index = 0;
     let lat = 0;
@@ -90,23 +124,64 @@ function decodePolyline(encoded) {
         const dlng = (result & 1) ? ~(result >> 1) : (result >> 1);
         lng += dlng;
 
-        points.push([lat / 1e5, lng / 1e5]);
+        points.push([lat / factor, lng / factor]);
     }
 
     return points;
 }
 
 /**
- * Format distance for display
+ * Encode coordinates as a polyline string (inverse of decodePolyline)
+ * @param {Array} points - Array of [lat, lng] pairs
+ * @param {number} precision - Decimal places to encode
+ * @returns {string} Encoded polyline string
+ */
+function encodePolyline(points, precision = 5) {
+    const factor = Math.pow(10, precision);
+    let encoded = '';
+    let prevLat = 0;
+    let prevLng = 0;
+
+    const encodeValue = (value) => {
+        let v = value < 0 ? ~(value << 1) : (value << 1);
+        let chunk = '';
+        while (v >= 0x20) {
+            chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+            v >>= 5;
+        }
+        return chunk + String.fromCharCode(v + 63);
+    };
+
+    points.forEach(([lat, lng]) => {
+        const latE = Math.round(lat * factor);
+        const lngE = Math.round(lng * factor);
+        encoded += encodeValue(latE - prevLat) + encodeValue(lngE - prevLng);
+        prevLat = latE;
+        prevLng = lngE;
+    });
+
+    return encoded;
+}
+
+/**
+ * Format distance for display in the traveler's units
  * @param {number} meters - Distance in meters
- * @returns {string} Formatted distance string
+ * @returns {string} Formatted distance string, e.g. "1.2 mi" or "350 m"
  */
 function formatDistance(meters) {
+    if (getUnits() === 'metric') {
+        if (meters >= 1000) {
+            return `${formatNumber(meters / 1000, 1)} km`;
+        }
+        // Round to nearest 10 meters for cleaner display
+        return `${Math.round(meters / 10) * 10} m`;
+    }
+
     const feet = meters * 3.28084;
     const miles = meters / 1609.34;
 
     if (miles >= 0.1) {
-        return `${miles.toFixed(1)} mi`;
+        return `${formatNumber(miles, 1)} mi`;
     } else {
         // Round to nearest 50 feet for cleaner display
         const roundedFeet = Math.round(feet / 50) * 50;
@@ -122,25 +197,27 @@ function formatDistance(meters) {
 function formatDuration(seconds) {
     const minutes = Math.round(seconds / 60);
     if (minutes < 60) {
-        return `${minutes} min`;
+        return t('duration.minutes', { minutes: minutes });
     }
     const hours = Math.floor(minutes / 60);
     const remainingMins = minutes % 60;
-    return `${hours}h ${remainingMins}m`;
+    return t('duration.hours', { hours: hours, minutes: remainingMins });
 }
 
 /**
  * Find the closest point on a route polyline to the user's position
  * @param {Object} userPosition - {lat, lng}
  * @param {Array} routeGeometry - Array of [lat, lng] points
+ * @param {number} startIndex - First segment to search (default: the first)
+ * @param {number} endIndex - Search stops before this point index (default: the last)
  * @returns {Object} {point, distance, segmentIndex}
  */
-function findClosestPointOnRoute(userPosition, routeGeometry) {
+function findClosestPointOnRoute(userPosition, routeGeometry, startIndex = 0, endIndex = routeGeometry.length - 1) {
     let minDistance = Infinity;
     let closestPoint = null;
-    let segmentIndex = 0;
+    let segmentIndex = startIndex;
 
-    for (let i = 0; i < routeGeometry.length - 1; i++) {
+    for (let i = startIndex; i < endIndex; i++) {
         const start = routeGeometry[i];
         const end = routeGeometry[i + 1];
 
@@ -164,6 +241,89 @@ function findClosestPointOnRoute(userPosition, routeGeometry) {
     };
 }
 
+/**
+ * Get the distance along a route polyline to each of its points
+ * @param {Array} routeGeometry - Array of [lat, lng] points
+ * @returns {Array<number>} Meters from the start, one per point
+ */
+function getCumulativeDistances(routeGeometry) {
+    const cumulative = [0];
+
+    for (let i = 1; i < routeGeometry.length; i++) {
+        const [lat1, lng1] = routeGeometry[i - 1];
+        const [lat2, lng2] = routeGeometry[i];
+        cumulative.push(cumulative[i - 1] + getDistanceMeters(lat1, lng1, lat2, lng2));
+    }
+
+    return cumulative;
+}
+
+/**
+ * Project a position onto a route polyline
+ * @param {Object} position - {lat, lng}
+ * @param {Array} routeGeometry - Array of [lat, lng] points
+ * @param {Array} cumulative - Distances from getCumulativeDistances
+ * @param {number} startIndex - First segment to search (default: the first)
+ * @param {number} endIndex - Search stops before this point index (default: the last)
+ * @returns {Object} {point, distance, segmentIndex, along} - along is meters from the route start
+ */
+function projectOntoRoute(position, routeGeometry, cumulative, startIndex, endIndex) {
+    const closest = findClosestPointOnRoute(position, routeGeometry, startIndex, endIndex);
+
+    if (!closest.point) {
+        return { ...closest, along: 0 };
+    }
+
+    const [segLat, segLng] = routeGeometry[closest.segmentIndex];
+
+    return {
+        ...closest,
+        along: cumulative[closest.segmentIndex] +
+            getDistanceMeters(segLat, segLng, closest.point.lat, closest.point.lng)
+    };
+}
+
+/**
+ * Cut the part of a route polyline between two along-route distances
+ * @param {Array} routeGeometry - Array of [lat, lng] points
+ * @param {Array} cumulative - Distances from getCumulativeDistances
+ * @param {number} from - Start, meters from the route start
+ * @param {number} to - End, meters from the route start
+ * @returns {Array} Array of [lat, lng] points
+ */
+function sliceRouteGeometry(routeGeometry, cumulative, from, to) {
+    if (routeGeometry.length < 2 || to <= from) return [];
+
+    const points = [getPointAlongRoute(routeGeometry, cumulative, from)];
+    for (let i = 0; i < routeGeometry.length; i++) {
+        if (cumulative[i] > from && cumulative[i] < to) {
+            points.push(routeGeometry[i]);
+        }
+    }
+    points.push(getPointAlongRoute(routeGeometry, cumulative, to));
+
+    return points;
+}
+
+/**
+ * Find the point a given distance along a route polyline
+ * @param {Array} routeGeometry - Array of [lat, lng] points (at least 2)
+ * @param {Array<number>} cumulative - From getCumulativeDistances(routeGeometry)
+ * @param {number} distance - Meters from the start, clamped to the route
+ * @returns {Array} [lat, lng]
+ */
+function getPointAlongRoute(routeGeometry, cumulative, distance) {
+    let i = 1;
+    while (i < cumulative.length - 1 && cumulative[i] < distance) i++;
+
+    const span = cumulative[i] - cumulative[i - 1];
+    const fraction = span > 0 ? Math.min(1, Math.max(0, (distance - cumulative[i - 1]) / span)) : 0;
+    const [lat1, lng1] = routeGeometry[i - 1];
+    const [lat2, lng2] = routeGeometry[i];
+
+    return [lat1 + (lat2 - lat1) * fraction, lng1 + (lng2 - lng1) * fraction];
+}
+
 /**
  * Get the closest point on a line segment to a given point
  * @param {Object} point - {lat, lng}
@@ -228,40 +388,11 @@ function getManeuverIcon(type, modifier) {
             return '↱';
         case 'slight right':
             return '↗';
+        case 'uturn':
+            return '↶';
         case 'straight':
         case 'continue':
         default:
             return '↑';
     }
 }
-
-/**
- * Get human-readable maneuver text
- * @param {string} type - Maneuver type from OSRM
- * @param {string} modifier - Maneuver modifier from OSRM
- * @returns {string} Maneuver text
- */
-function getManeuverText(type, modifier) {
-    if (type === 'arrive') return 'Arrive at';
-    if (type === 'depart') return 'Head toward';
-    if (type === 'roundabout' || type === 'rotary') return 'Take the roundabout to';
-
-    switch (modifier) {
-        case 'left':
-            return 'Turn left onto';
-        case 'sharp left':
-            return 'Sharp left onto';
-        case 'slight left':
-            return 'Bear left onto';
-        case 'right':
-            return 'Turn right onto';
-        case 'sharp right':
-            return 'Sharp right onto';
-        case 'slight right':
-            return 'Bear right onto';
-        case 'straight':
-            return 'Continue onto';
-        default:
-            return 'Continue onto';
-    }
-}
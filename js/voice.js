@@ -0,0 +1,180 @@
+/**
+ * Voice module for Vromp
+ * Speaks instructions so drivers don't have to read the screen
+ *
+ * Each maneuver is announced at the profile's announceDistances, e.g. 2 mi,
+ * 0.5 mi and 500 ft when driving. The distances stretch at higher speeds so
+ * the warning still comes the same number of seconds ahead. Speech uses the
+ * active locale (see js/i18n.js).
+ */
+
+const VOICE_CONFIG = {
+    mutedStorageKey: 'vromp.voiceMuted',
+    minSpeedScale: 0.5, // announce no later than half the normal distance
+    maxSpeedScale: 2 // nor earlier than twice it
+};
+
+// Which steps have been announced, so each stage is only spoken once
+let voiceSteps = null; // routeSteps array the stages below belong to
+let voiceStepIndex = null;
+let voiceStage = null; // index into announceDistances, or -1 for the first mention
+
+/**
+ * Check whether this browser can speak
+ * @returns {boolean}
+ */
+function isVoiceSupported() {
+    return typeof speechSynthesis !== 'undefined' && typeof SpeechSynthesisUtterance !== 'undefined';
+}
+
+/**
+ * Unlock speech for the rest of the session
+ * iOS only allows speaking after a user gesture, so call this from a click handler.
+ */
+function primeVoice() {
+    if (!isVoiceSupported()) return;
+
+    speechSynthesis.speak(new SpeechSynthesisUtterance(''));
+}
+
+/**
+ * Check whether voice guidance is muted
+ * @returns {boolean}
+ */
+function isVoiceMuted() {
+    try {
+        return localStorage.getItem(VOICE_CONFIG.mutedStorageKey) === 'true';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Mute or unmute voice guidance, remembering the choice on this device
+ * @param {boolean} muted - Whether to mute
+ */
+function setVoiceMuted(muted) {
+    try {
+        localStorage.setItem(VOICE_CONFIG.mutedStorageKey, String(muted));
+    } catch (error) {
+        console.warn('Could not save voice setting:', error);
+    }
+
+    if (muted && isVoiceSupported()) {
+        speechSynthesis.cancel();
+    }
+}
+
+/**
+ * Speak a phrase, cutting off anything still being said
+ * @param {string} text - Phrase to speak
+ */
+function speak(text) {
+    if (!isVoiceSupported() || isVoiceMuted()) return;
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = getLocale();
+
+    speechSynthesis.cancel();
+    speechSynthesis.speak(utterance);
+    console.log(`Speaking: ${text}`);
+}
+
+/**
+ * Announce the upcoming maneuver if the traveler has reached its next stage
+ * Call on every position update while navigating.
+ * @param {Object} state - App state
+ */
+function updateVoiceGuidance(state) {
+    if (!state.routeSteps || state.routeSteps.length === 0 || !state.progress) return;
+
+    const stepIndex = getUpcomingStepIndex(state);
+    const step = state.routeSteps[stepIndex];
+    const distance = getDistanceToNextManeuver(state, stepIndex);
+    const stage = getAnnounceStage(state, distance);
+
+    const isNewStep = state.routeSteps !== voiceSteps || stepIndex !== voiceStepIndex;
+    if (!isNewStep && stage <= voiceStage) return;
+
+    voiceSteps = state.routeSteps;
+    voiceStepIndex = stepIndex;
+    voiceStage = stage;
+
+    const instruction = buildInstruction(step);
+    const isLastStage = stage === getNavProfile(state).announceDistances[getUnits()].length - 1;
+
+    if (isLastStage) {
+        const then = getThenInstruction(state, stepIndex);
+        speak(then ? `${instruction}. ${then}` : instruction);
+    } else if (stage >= 0 || isNewStep) {
+        speak(t('voice.in', { distance: formatSpokenDistance(distance), instruction: lowerFirst(instruction) }));
+    }
+}
+
+/**
+ * Find the closest announcement stage the traveler has passed
+ * @param {Object} state - App state
+ * @param {number} distance - Meters to the maneuver
+ * @returns {number} Index into the profile's announceDistances, or -1 if none yet
+ */
+function getAnnounceStage(state, distance) {
+    const profile = getNavProfile(state);
+
+    let scale = 1;
+    if (state.speed !== null && state.speed > 0) {
+        scale = Math.min(VOICE_CONFIG.maxSpeedScale,
+            Math.max(VOICE_CONFIG.minSpeedScale, state.speed / profile.announceSpeed));
+    }
+
+    let stage = -1;
+    profile.announceDistances[getUnits()].forEach((threshold, i) => {
+        if (distance <= threshold * scale) stage = i;
+    });
+    return stage;
+}
+
+/**
+ * Forget which steps were announced, e.g. when a trip ends
+ */
+function resetVoiceGuidance() {
+    voiceSteps = null;
+    voiceStepIndex = null;
+    voiceStage = null;
+
+    if (isVoiceSupported()) {
+        speechSynthesis.cancel();
+    }
+}
+
+/**
+ * Format a distance the way it's said out loud, in the traveler's units
+ * @param {number} meters - Distance in meters
+ * @returns {string} e.g. "2 miles", "half a mile", "500 feet", "300 meters"
+ */
+function formatSpokenDistance(meters) {
+    if (getUnits() === 'metric') {
+        if (meters < 950) {
+            return t('spoken.meters', { count: Math.max(50, Math.round(meters / 50) * 50) });
+        }
+
+        const kilometers = meters < 10000 ? Math.round(meters / 500) / 2 : Math.round(meters / 1000);
+        return kilometers === 1
+            ? t('spoken.kilometer')
+            : t('spoken.kilometers', { count: formatNumber(kilometers, kilometers % 1 === 0 ? 0 : 1) });
+    }
+
+    const miles = meters / 1609.34;
+
+    if (miles < 0.2) {
+        const feet = Math.max(50, Math.round(meters * 3.28084 / 50) * 50);
+        return t('spoken.feet', { count: feet });
+    }
+    if (miles < 0.375) return t('spoken.quarterMile');
+    if (miles < 0.625) return t('spoken.halfMile');
+    if (miles < 0.875) return t('spoken.threeQuarterMile');
+
+    const rounded = miles < 10 ? Math.round(miles * 2) / 2 : Math.round(miles);
+    return rounded === 1
+        ? t('spoken.mile')
+        : t('spoken.miles', { count: formatNumber(rounded, rounded % 1 === 0 ? 0 : 1) });
+}
@@ -0,0 +1,185 @@
+/**
+ * Service worker for Vromp
+ * Keeps the app, downloaded routes and map tiles available without signal
+ *
+ * - App files are fetched network-first, so updates still ship, and fall
+ *   back to the last cached copy when offline.
+ * - Map tiles downloaded for a trip are served cache-first.
+ * - Downloaded routes live at offline/routes/<key>.json, which only exists
+ *   in the cache.
+ */
+
+const CACHE_VERSION = 'v1';
+const APP_CACHE = `vromp-app-${CACHE_VERSION}`;
+const TILE_CACHE = `vromp-tiles-${CACHE_VERSION}`;
+const ROUTE_CACHE = `vromp-routes-${CACHE_VERSION}`;
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'css/style.css',
+    'js/config.js',
+    'js/i18n.js',
+    'js/utils.js',
+    'js/map.js',
+    'js/fog.js',
+    'js/theme.js',
+    'js/routing-providers.js',
+    'js/routing.js',
+    'js/instructions.js',
+    'js/navigation.js',
+    'js/compass.js',
+    'js/position-filter.js',
+    'js/voice.js',
+    'js/offline.js',
+    'js/trips.js',
+    'js/sharing.js',
+    'js/sealing.js',
+    'js/library.js',
+    'js/generator.js',
+    'js/authoring.js',
+    'js/app.js',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://cdn.jsdelivr.net/npm/leaflet-rotate@0.2.7/dist/leaflet-rotate.min.js'
+];
+
+const ROUTE_PATH = '/offline/routes/';
+const TILE_PATH_PATTERN = /\/\d+\/\d+\/\d+\.png$/;
+const TILE_DOWNLOAD_CONCURRENCY = 4;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(APP_CACHE)
+            .then(cache => cache.addAll(APP_FILES.map(url => new Request(url, { mode: 'cors' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [APP_CACHE, TILE_CACHE, ROUTE_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('vromp-') && !current.includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin && url.pathname.includes(ROUTE_PATH)) {
+        event.respondWith(respondWithRoute(request));
+    } else if (TILE_PATH_PATTERN.test(url.pathname)) {
+        event.respondWith(respondWithTile(request));
+    } else if (url.origin === self.location.origin || APP_FILES.includes(request.url)) {
+        event.respondWith(respondWithAppFile(request));
+    }
+    // Anything else (routing servers, etc.) goes straight to the network
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    const port = event.ports[0];
+
+    if (message.type === 'download-trip' && port) {
+        downloadTrip(message, port);
+    }
+});
+
+/**
+ * Serve a downloaded route, or 404 if it was never downloaded
+ */
+async function respondWithRoute(request) {
+    const cached = await caches.match(request, { cacheName: ROUTE_CACHE });
+    return cached || new Response('Route not downloaded', { status: 404 });
+}
+
+/**
+ * Serve a tile from the download cache, falling back to the network
+ */
+async function respondWithTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(getTileCacheKey(request.url));
+    return cached || fetch(request);
+}
+
+/**
+ * Serve an app file from the network, refreshing the cache, or from the cache offline
+ */
+async function respondWithAppFile(request) {
+    const cache = await caches.open(APP_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Tile servers spread load over a/b/c subdomains; cache them under one name
+ * so a tile downloaded from "a" is found when Leaflet asks "b"
+ * @param {string} url - Tile URL
+ * @returns {string} Cache key
+ */
+function getTileCacheKey(url) {
+    return url.replace(/^(https?:\/\/)[a-z]\./, '$1');
+}
+
+/**
+ * Store a trip's route and download its tiles, reporting progress on the port
+ * @param {Object} message - {routeUrl, route, tileUrls}
+ * @param {MessagePort} port - Receives {type: 'progress' | 'done' | 'error', ...}
+ */
+async function downloadTrip(message, port) {
+    try {
+        const routeCache = await caches.open(ROUTE_CACHE);
+        await routeCache.put(message.routeUrl, new Response(JSON.stringify(message.route), {
+            headers: { 'Content-Type': 'application/json' }
+        }));
+
+        const tileCache = await caches.open(TILE_CACHE);
+        const queue = message.tileUrls.slice();
+        const total = queue.length;
+        let done = 0;
+        let failed = 0;
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const url = queue.shift();
+                const key = getTileCacheKey(url);
+
+                try {
+                    if (!(await tileCache.match(key))) {
+                        const response = await fetch(url, { mode: 'cors' });
+                        if (!response.ok) throw new Error(`Tile error: ${response.status}`);
+                        await tileCache.put(key, response);
+                    }
+                } catch (error) {
+                    failed++;
+                }
+
+                done++;
+                port.postMessage({ type: 'progress', done: done, total: total });
+            }
+        };
+
+        await Promise.all(Array.from({ length: TILE_DOWNLOAD_CONCURRENCY }, worker));
+        port.postMessage({ type: 'done', total: total, failed: failed });
+    } catch (error) {
+        port.postMessage({ type: 'error', message: error.message });
+    }
+}